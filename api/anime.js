@@ -1,5 +0,0 @@
-import handler from './index.js';
-
-export default async function (req, res) {
-  return handler(req, res);
-}
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { handleRequest } from "../core.js";
+import { log } from "../logger.js";
+
+// The request body as a stream that only starts reading `req` when it is read itself,
+// so a body nobody reads is left to Node and one read partway is not read any further
+function bodyStream(req) {
+  let chunks;
+  return new ReadableStream({
+    async pull(controller) {
+      chunks ??= req[Symbol.asyncIterator]();
+      const { done, value } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(new Uint8Array(value));
+      }
+    }
+  }, { highWaterMark: 0 });
+}
+
+// Convert a Node `http.IncomingMessage` into a standard Request
+export async function toRequest(req) {
+  const protocol = req.headers["x-forwarded-proto"] || (req.socket && req.socket.encrypted ? "https" : "http");
+  const url = new URL(req.url, `${protocol}://${req.headers.host || "localhost"}`);
+
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) {
+      for (const item of value) headers.append(name, item);
+    } else if (value !== undefined) {
+      headers.set(name, value);
+    }
+  }
+
+  const hasBody = req.method !== "GET" && req.method !== "HEAD";
+  return new Request(url, {
+    method: req.method,
+    headers,
+    ...(hasBody ? { body: bodyStream(req), duplex: "half" } : {})
+  });
+}
+
+// Write a standard Response back to a Node `http.ServerResponse`
+export async function sendResponse(res, response) {
+  res.statusCode = response.status;
+  response.headers.forEach((value, name) => {
+    res.setHeader(name, value);
+  });
+
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  for await (const chunk of response.body) {
+    res.write(chunk);
+  }
+  res.end();
+}
+
+// Handler for Node `http.createServer` and Vercel functions
+export async function nodeHandler(req, res) {
+  try {
+    const response = await handleRequest(await toRequest(req), { remoteAddress: req.socket?.remoteAddress });
+    // Part of the body was never received, such as a batch refused for its size. The
+    // connection can't carry another request until it is, so it is closed instead.
+    if (!req.complete) {
+      res.setHeader("Connection", "close");
+    }
+    await sendResponse(res, response);
+  } catch (error) {
+    log(`Unhandled error: ${error.stack || error}`, "error");
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({
+      error: { code: "internal_error", message: "Internal server error", status: 500, endpoint: null, requestId: null }
+    }));
+  }
+}
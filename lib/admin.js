@@ -0,0 +1,113 @@
+import { timingSafeEqual } from "node:crypto";
+import { ADMIN_TOKEN } from "./config.js";
+import {
+  listEntries,
+  getEntry,
+  purgeCache,
+  refreshEntry,
+  saveCache,
+  loadCache
+} from "./cache.js";
+import { ProxyError } from "./errors.js";
+import { log } from "./logger.js";
+
+// Token from `Authorization: Bearer <token>` or `X-Admin-Token`
+function isAuthorized(req) {
+  const authorization = req.headers.get("authorization") || "";
+  const token = authorization.startsWith("Bearer ")
+    ? authorization.slice("Bearer ".length)
+    : req.headers.get("x-admin-token") || "";
+
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function describe(key, entry, now) {
+  const age = now - entry.timestamp;
+  return {
+    key,
+    age,
+    ttl: entry.duration,
+    expiresIn: entry.duration - age,
+    stale: age >= entry.duration
+  };
+}
+
+async function listCache(params) {
+  const prefix = params.get("prefix") || "";
+  const limit = Number(params.get("limit")) || 100;
+  const now = Date.now();
+
+  const keys = [];
+  let total = 0;
+  for await (const [key, entry] of listEntries(prefix)) {
+    if (keys.length < limit) keys.push(describe(key, entry, now));
+    total++;
+  }
+  return { total, keys };
+}
+
+async function showEntry(key) {
+  const entry = await getEntry(key);
+  if (!entry) {
+    throw new ProxyError(404, "cache_entry_not_found", `Cache entry ${key} not found`);
+  }
+  return { ...describe(key, entry, Date.now()), url: entry.url, data: entry.data, error: entry.error };
+}
+
+// Admin routes under /api/admin, errors are thrown as ProxyError
+const routes = {
+  "GET cache": params => {
+    const key = params.get("key");
+    return key ? showEntry(key) : listCache(params);
+  },
+
+  "DELETE cache": async params => {
+    const key = params.get("key");
+    const prefix = params.get("prefix");
+    if (!key && !prefix) {
+      throw new ProxyError(400, "invalid_parameters", "Pass ?key= or ?prefix= to purge");
+    }
+    return { removed: await purgeCache({ key, prefix }) };
+  },
+
+  "POST cache/refresh": async params => {
+    const key = params.get("key");
+    if (!key) {
+      throw new ProxyError(400, "invalid_parameters", "Pass ?key= to refresh");
+    }
+
+    const entry = await refreshEntry(key);
+    if (!entry) {
+      throw new ProxyError(404, "cache_entry_not_found", `Cache entry ${key} not found`);
+    }
+    return describe(key, entry, Date.now());
+  },
+
+  "POST cache/save": async () => ({ saved: await saveCache() }),
+
+  "POST cache/load": async () => ({ loaded: await loadCache() })
+};
+
+export async function handleAdmin(req, route, params) {
+  if (!ADMIN_TOKEN) {
+    throw new ProxyError(403, "admin_disabled", "Admin API is disabled, set ADMIN_TOKEN to enable it");
+  }
+
+  if (!isAuthorized(req)) {
+    log(`Rejected admin request: ${req.method} ${route}`, "warn");
+    throw new ProxyError(401, "unauthorized", "Invalid admin token");
+  }
+
+  const handler = routes[`${req.method} ${route}`];
+  if (!handler) {
+    throw new ProxyError(404, "admin_route_not_found", `Admin route ${req.method} ${route} not found`, {
+      details: { available_routes: Object.keys(routes) }
+    });
+  }
+
+  const query = params.toString();
+  log(`Admin: ${req.method} ${route}${query ? `?${query}` : ""}`);
+  return handler(params);
+}
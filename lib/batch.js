@@ -0,0 +1,161 @@
+import { BATCH_MAX_ITEMS, BATCH_MAX_BODY_BYTES } from "./config.js";
+import { handlersWithStats } from "./handlers.js";
+import { routes, endpoints, validateRoute, matchPath } from "./routes.js";
+import { ProxyError, toProxyError } from "./errors.js";
+import { param } from "./validation.js";
+
+// Several lookups in one request. Every item goes through its endpoint's handler, so hits
+// are answered from the cache right away and only misses wait for the upstream limiter.
+
+function tooLarge(count) {
+  return new ProxyError(400, "batch_too_large", `A batch may hold at most ${BATCH_MAX_ITEMS} items, got ${count}`);
+}
+
+// An item is a path such as "/anime/5/episodes?page=2", or { endpoint, params }
+function parseItem(item, index) {
+  if (typeof item === "string") {
+    let url;
+    try {
+      url = new URL(item, "http://batch");
+    } catch {
+      throw new ProxyError(400, "invalid_batch", `Item ${index}: ${JSON.stringify(item)} is not a valid path`);
+    }
+    const parts = url.pathname.split("/").filter(Boolean);
+    if (parts[0]?.toLowerCase() === "api") parts.shift();
+    const endpoint = parts[0]?.toLowerCase();
+
+    const params = url.searchParams;
+    const matched = parts.length === 1 && endpoints.includes(endpoint) ? { endpoint, params: {} } : matchPath(parts);
+    if (!matched) {
+      return { endpoint: endpoint || null, params };
+    }
+    params.delete("resource");
+    for (const [name, value] of Object.entries(matched.params)) {
+      params.set(name, value);
+    }
+    return { endpoint: matched.endpoint, params };
+  }
+
+  const { endpoint, params = {} } = item || {};
+  if (typeof endpoint !== "string" || typeof params !== "object" || params === null ||
+      !Object.values(params).every(value => typeof value === "string" || typeof value === "number")) {
+    throw new ProxyError(400, "invalid_batch", `Item ${index}: expected a path or { endpoint, params }`);
+  }
+  return { endpoint, params: new URLSearchParams(Object.entries(params).map(([name, value]) => [name, String(value)])) };
+}
+
+function bodyTooLarge() {
+  return new ProxyError(413, "payload_too_large", `A batch body may be at most ${BATCH_MAX_BODY_BYTES} bytes`);
+}
+
+// Items of a POST /api/batch body: { requests: [...] } or a bare list
+function parseBatch(body) {
+  const list = Array.isArray(body) ? body : body?.requests;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ProxyError(400, "invalid_batch", "Expected { \"requests\": [...] } with at least one item");
+  }
+  if (list.length > BATCH_MAX_ITEMS) {
+    throw tooLarge(list.length);
+  }
+  return list.map(parseItem);
+}
+
+// Read and parse the body of `req`, giving up as soon as it is larger than BATCH_MAX_BODY_BYTES
+export async function readBatch(req) {
+  if (Number(req.headers.get("content-length")) > BATCH_MAX_BODY_BYTES) {
+    throw bodyTooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  if (req.body) {
+    for await (const chunk of req.body) {
+      size += chunk.byteLength;
+      if (size > BATCH_MAX_BODY_BYTES) throw bodyTooLarge();
+      chunks.push(chunk);
+    }
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new ProxyError(400, "invalid_batch", "Request body is not valid JSON");
+  }
+  return parseBatch(body);
+}
+
+// The ids of `?ids=1,5,20` on an endpoint that takes an id, without leading zeros or repeats
+export function parseIds(endpoint, params) {
+  const ids = params.get("ids");
+  const error = param.idList()(ids);
+  if (error) {
+    throw new ProxyError(400, "invalid_parameters", "Invalid parameters: ids", {
+      details: { errors: [{ field: "ids", value: ids, message: error }] }
+    });
+  }
+  if (!routes.some(route => route.endpoint === endpoint && "id" in route.params)) {
+    throw new ProxyError(400, "invalid_parameters", `${endpoint} does not take ids`, {
+      details: { errors: [{ field: "ids", value: ids, message: "unknown parameter" }] }
+    });
+  }
+
+  const list = [...new Set(ids.split(",").map(id => id.replace(/^0+(?=\d)/, "")))];
+  if (list.length > BATCH_MAX_ITEMS) {
+    throw tooLarge(list.length);
+  }
+  return list;
+}
+
+// Items for ids from parseIds, the other parameters apply to each one
+export function idsBatch(endpoint, params, ids) {
+  return ids.map(id => {
+    const itemParams = new URLSearchParams(params);
+    itemParams.delete("ids");
+    itemParams.set("id", id);
+    return { endpoint, params: itemParams };
+  });
+}
+
+// Never rejects: failures become the item's `error`, shaped like the error envelope
+async function runItem({ endpoint, params }, index) {
+  const request = { endpoint, params: Object.fromEntries(params) };
+  try {
+    if (!endpoints.includes(endpoint)) {
+      throw new ProxyError(404, "endpoint_not_found", `Endpoint ${endpoint} not found`);
+    }
+
+    const invalid = validateRoute(endpoint, params);
+    if (invalid.length > 0) {
+      throw new ProxyError(400, "invalid_parameters", `Invalid parameters: ${invalid.map(error => error.field).join(", ")}`, {
+        details: { errors: invalid }
+      });
+    }
+
+    const result = await handlersWithStats[endpoint](params);
+    return {
+      index,
+      ...request,
+      status: 200,
+      cache: {
+        status: result.status || "bypass",
+        fetchedAt: new Date(result.timestamp ?? Date.now()).toISOString(),
+        expiresAt: result.duration ? new Date(result.timestamp + result.duration).toISOString() : null
+      },
+      ...result.data
+    };
+  } catch (error) {
+    const { status, code, message, details } = toProxyError(error);
+    return { index, ...request, status, error: { code, message, status, ...(details !== undefined ? { details } : {}) } };
+  }
+}
+
+// Run every item at once, calling `onResult` as each one finishes. Resolves to the
+// results in item order.
+export async function runBatch(items, onResult = () => {}) {
+  return Promise.all(items.map(async (item, index) => {
+    const result = await runItem(item, index);
+    onResult(result);
+    return result;
+  }));
+}
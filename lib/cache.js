@@ -0,0 +1,405 @@
+import {
+  CACHE_DURATION,
+  STALE_WHILE_REVALIDATE,
+  STALE_IF_ERROR,
+  NEGATIVE_CACHE_TTL,
+  CACHE_MAX_ENTRIES,
+  CACHE_MAX_BYTES,
+  CACHE_EVICTION_POLICY,
+  CACHE_PINNED_PREFIXES,
+  CACHE_DIR,
+  SQLITE_PATH,
+  REDIS_URL,
+  REDIS_CONNECT_TIMEOUT,
+  REDIS_COMMAND_TIMEOUT
+} from "./config.js";
+import { createHash } from "node:crypto";
+import { createMemoryStore } from "./stores/memory.js";
+import { createStore } from "./stores/index.js";
+import { upstreamFetch } from "./upstream.js";
+import { ProxyError, upstreamError, upstreamJson, toProxyError } from "./errors.js";
+import { log } from "./logger.js";
+import { stats } from "./stats.js";
+import { gauge } from "./metrics.js";
+
+// Hot entries live in memory, backed by an optional persistent store
+export const cache = createMemoryStore({
+  maxEntries: CACHE_MAX_ENTRIES,
+  maxBytes: CACHE_MAX_BYTES,
+  policy: CACHE_EVICTION_POLICY,
+  pinned: CACHE_PINNED_PREFIXES
+});
+
+gauge("jikan_proxy_cache_entries", "Entries in the in-memory cache", () => cache.size());
+gauge("jikan_proxy_cache_bytes", "Approximate size of the in-memory cache", () => cache.stats({ largest: 0 }).bytes);
+gauge("jikan_proxy_cache_evictions_total", "Entries evicted from the in-memory cache", () => cache.stats({ largest: 0 }).evictions, "counter");
+gauge("jikan_proxy_persistent_cache_entries", "Entries in the persistent cache store", async () => {
+  const store = await getStore();
+  return store ? [{ labels: { store: storeName }, value: await store.size() }] : [];
+});
+
+let storeName = "memory";
+let storeReady = Promise.resolve(null);
+const pendingWrites = new Set();
+
+const storeOptions = {
+  fs: { dir: CACHE_DIR },
+  sqlite: { path: SQLITE_PATH },
+  redis: { url: REDIS_URL, connectTimeout: REDIS_CONNECT_TIMEOUT, commandTimeout: REDIS_COMMAND_TIMEOUT }
+};
+
+// Select the persistent store, "memory" keeps the cache in memory only
+export function useCacheStore(name) {
+  storeName = name;
+  storeReady = name === "memory" ? Promise.resolve(null) : createStore(name, storeOptions[name]);
+  storeReady.then(
+    () => log(`Using ${name} cache store`),
+    err => log(`Error opening ${name} cache store: ${err.message}`, "error")
+  );
+  return storeReady;
+}
+
+// A store that failed to open leaves the cache memory-only
+async function getStore() {
+  try {
+    return await storeReady;
+  } catch {
+    return null;
+  }
+}
+
+// Write to the persistent store in the background
+function persist(operation) {
+  const write = getStore()
+    .then(store => store && operation(store))
+    .catch(err => log(`Error writing to ${storeName} cache store: ${err.message}`, "error"))
+    .finally(() => pendingWrites.delete(write));
+  pendingWrites.add(write);
+}
+
+export async function getEntry(key) {
+  const entry = cache.get(key);
+  if (entry) return entry;
+
+  const store = await getStore();
+  if (!store) return undefined;
+
+  try {
+    const stored = await store.get(key);
+    if (stored) cache.set(key, stored);
+    return stored;
+  } catch (err) {
+    log(`Error reading ${key} from ${storeName} cache store: ${err.message}`, "error");
+    return undefined;
+  }
+}
+
+function writeEntry(key, entry) {
+  cache.set(key, entry);
+  persist(store => store.set(key, entry));
+}
+
+export function deleteEntry(key) {
+  cache.delete(key);
+  persist(store => store.delete(key));
+}
+
+// Entries from both tiers whose key starts with `prefix`, memory first
+export async function* listEntries(prefix = "") {
+  const seen = new Set();
+  for (const [key, entry] of cache.entries()) {
+    if (!key.startsWith(prefix)) continue;
+    seen.add(key);
+    yield [key, entry];
+  }
+
+  const store = await getStore();
+  if (!store) return;
+
+  for await (const [key, entry] of store.entries()) {
+    if (key.startsWith(prefix) && !seen.has(key)) {
+      yield [key, entry];
+    }
+  }
+}
+
+// Drop one key or every key starting with a prefix, returns how many were removed
+export async function purgeCache({ key, prefix }) {
+  const keys = [];
+  if (key) {
+    if (await getEntry(key)) keys.push(key);
+  } else {
+    for await (const [entryKey] of listEntries(prefix)) {
+      keys.push(entryKey);
+    }
+  }
+
+  for (const entryKey of keys) {
+    deleteEntry(entryKey);
+  }
+  log(`Cache purge: removed ${keys.length} entries`);
+  return keys.length;
+}
+
+// Fetch a cached key again from Jikan regardless of its age
+export async function refreshEntry(key) {
+  const entry = await getEntry(key);
+  if (!entry) return null;
+  if (!entry.url) {
+    throw new Error(`Cache entry ${key} has no upstream URL to refresh from`);
+  }
+
+  await fetchShared(entry.url, key, entry.duration);
+  return getEntry(key);
+}
+
+// Copy every in-memory entry to the persistent store
+export async function saveCache() {
+  const store = await getStore();
+  if (!store) return 0;
+
+  let saved = 0;
+  for (const [key, entry] of cache.entries()) {
+    await store.set(key, entry);
+    saved++;
+  }
+  log(`Saved ${saved} items to ${storeName} cache store`);
+  return saved;
+}
+
+// Load entries still within their retention from the persistent store
+export async function loadCache() {
+  const store = await getStore();
+  if (!store) return 0;
+
+  const now = Date.now();
+  let loaded = 0;
+  for await (const [key, entry] of store.entries()) {
+    if (now - entry.timestamp < retention(entry)) {
+      cache.set(key, entry);
+      loaded++;
+    }
+  }
+  log(`Loaded ${loaded} items from ${storeName} cache store`);
+  return loaded;
+}
+
+// Memory usage and entry counts for both cache tiers
+// A persistent store that can't be read, such as Redis being down, reports null
+// and the error rather than failing the whole stats response
+export async function cacheStats() {
+  const store = await getStore();
+  let persistent = null;
+  let error;
+  try {
+    persistent = store ? await store.size() : null;
+  } catch (err) {
+    error = err.message;
+    log(`Error reading the size of the ${storeName} cache store: ${err.message}`, "error");
+  }
+  return {
+    store: storeName,
+    persistent,
+    error,
+    memory: cache.stats()
+  };
+}
+
+// Finish pending writes and close the persistent store
+export async function closeCache() {
+  await Promise.all(pendingWrites);
+  const store = await getStore();
+  if (store) await store.close();
+}
+
+// Drop entries past their stale windows, returns how many were removed
+export async function cleanupCache() {
+  const now = Date.now();
+  const expired = new Set();
+
+  for (const [key, value] of cache.entries()) {
+    if (now - value.timestamp > retention(value)) expired.add(key);
+  }
+
+  const store = await getStore();
+  if (store) {
+    for await (const [key, value] of store.entries()) {
+      if (now - value.timestamp > retention(value)) expired.add(key);
+    }
+  }
+
+  for (const key of expired) {
+    deleteEntry(key);
+  }
+
+  if (expired.size > 0) {
+    log(`Cache cleanup: removed ${expired.size} entries`);
+  }
+  return expired.size;
+}
+
+// Entries stay in the cache until both stale windows have passed, negative results never go stale
+function retention(entry) {
+  if (entry.error) return entry.duration;
+  return entry.duration + Math.max(STALE_WHILE_REVALIDATE, STALE_IF_ERROR);
+}
+
+// Upstream statuses that are cached for NEGATIVE_CACHE_TTL, they won't change on a retry
+const NEGATIVE_CACHE_STATUSES = [400, 404];
+
+async function fetchUpstream(url, cacheKey, cacheDuration, options) {
+  const startTime = performance.now();
+  let response;
+  try {
+    response = await upstreamFetch(url, { background: options.background });
+  } catch (error) {
+    throw toProxyError(error);
+  }
+
+  if (!response.ok) {
+    const error = await upstreamError(response);
+    log(`API error (${response.status}): ${error.message}`, "error");
+
+    if (NEGATIVE_CACHE_STATUSES.includes(response.status) && NEGATIVE_CACHE_TTL > 0) {
+      writeEntry(cacheKey, {
+        url,
+        timestamp: Date.now(),
+        duration: NEGATIVE_CACHE_TTL,
+        error: { status: error.status, code: error.code, message: error.message, upstreamStatus: error.upstreamStatus }
+      });
+    }
+    throw error;
+  }
+
+  const data = await upstreamJson(response);
+
+  // Save in cache
+  const entry = {
+    url,
+    timestamp: Date.now(),
+    duration: cacheDuration,
+    latency: Math.round(performance.now() - startTime),
+    etag: payloadTag(data),
+    data: data
+  };
+  writeEntry(cacheKey, entry);
+
+  return entry;
+}
+
+// Strong validator for a cached payload, changes whenever the data does
+function payloadTag(data) {
+  return `"${createHash("sha1").update(JSON.stringify(data)).digest("base64url")}"`;
+}
+
+// What fetchWithCache resolves to, entries written before validators existed get one here.
+// Upstream latency is only given when this response waited for Jikan.
+function served(cacheKey, entry, status, stale = false) {
+  return {
+    key: cacheKey,
+    data: entry.data,
+    status,
+    stale,
+    timestamp: entry.timestamp,
+    duration: entry.duration,
+    latency: status === "miss" || status === "coalesced" ? entry.latency ?? null : null,
+    etag: entry.etag || payloadTag(entry.data)
+  };
+}
+
+// Upstream requests in flight, shared by concurrent callers of the same key
+const inflight = new Map();
+
+function fetchShared(url, cacheKey, cacheDuration, options = {}) {
+  let pending = inflight.get(cacheKey);
+  if (!pending) {
+    pending = fetchUpstream(url, cacheKey, cacheDuration, options)
+      .finally(() => inflight.delete(cacheKey));
+    inflight.set(cacheKey, pending);
+  }
+  return pending;
+}
+
+function revalidate(url, cacheKey, cacheDuration) {
+  if (inflight.has(cacheKey)) return;
+
+  stats.backgroundRefreshes++;
+  fetchShared(url, cacheKey, cacheDuration).catch(error => {
+    stats.refreshErrors++;
+    log(`Background refresh failed for ${cacheKey}: ${error.message}`, "warn");
+  });
+}
+
+// Fetch with cache, resolves to `{ key, data, status, stale, timestamp, duration, latency, etag }`.
+// `status` is how the response was served: hit, miss, stale, coalesced or stale-if-error.
+// `timestamp`, `duration` and `etag` describe the cache entry the data came from,
+// `latency` is the upstream response time in milliseconds for misses.
+// `options.refreshAhead` refetches entries expiring within that many milliseconds,
+// `options.background` sends upstream requests behind live traffic and leaves the lookup
+// out of the hit and miss counts, which describe client requests.
+export async function fetchWithCache(url, cacheKey, cacheDuration = CACHE_DURATION, options = {}) {
+  const now = Date.now();
+  const count = name => {
+    if (!options.background) stats[name]++;
+  };
+  const cachedData = await getEntry(cacheKey);
+
+  if (cachedData) {
+    const age = now - cachedData.timestamp;
+    const refreshAhead = options.refreshAhead || 0;
+
+    if (cachedData.error) {
+      // Cached negative result, such as a 404 for a missing id
+      if (age < cachedData.duration) {
+        count("negativeHits");
+        log("Cache hit (negative)", "debug", { key: cacheKey });
+        const { status, code, message, upstreamStatus } = cachedData.error;
+        throw new ProxyError(status, code, message, { upstreamStatus });
+      }
+    } else {
+      if (age < cachedData.duration - refreshAhead) {
+        count("cacheHits");
+        log("Cache hit", "debug", { key: cacheKey });
+        return served(cacheKey, cachedData, "hit");
+      }
+
+      // Expired but still fresh enough to serve while refreshing in the background
+      if (!refreshAhead && age < cachedData.duration + STALE_WHILE_REVALIDATE) {
+        count("staleHits");
+        log("Cache stale, revalidating", "debug", { key: cacheKey });
+        revalidate(url, cacheKey, cacheDuration);
+        return served(cacheKey, cachedData, "stale", true);
+      }
+    }
+
+    if (age >= retention(cachedData)) {
+      log("Cache expired", "debug", { key: cacheKey });
+      deleteEntry(cacheKey);
+    }
+  }
+
+  // Join a request already in flight for the same key
+  const joined = inflight.has(cacheKey);
+  if (joined) {
+    count("coalesced");
+    log("Cache miss coalesced", "debug", { key: cacheKey });
+  } else {
+    // If not in cache or expired, fetch from API
+    count("cacheMisses");
+    log("Cache miss", "debug", { key: cacheKey });
+  }
+
+  try {
+    const entry = await fetchShared(url, cacheKey, cacheDuration, options);
+    return served(cacheKey, entry, joined ? "coalesced" : "miss");
+  } catch (error) {
+    // Serve the stale copy rather than failing the request on outages and rate limits
+    const usable = cachedData && !cachedData.error && toProxyError(error).transient;
+    if (usable && now - cachedData.timestamp < cachedData.duration + STALE_IF_ERROR) {
+      count("staleIfError");
+      log("Serving stale entry after upstream error", "warn", { key: cacheKey });
+      return served(cacheKey, cachedData, "stale-if-error", now - cachedData.timestamp >= cachedData.duration);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,216 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { extname } from "node:path";
+import { parse as parseYaml } from "yaml";
+import {
+  ConfigError,
+  API_KEYS_FILE,
+  API_KEY_REQUIRED,
+  CLIENT_RATE_LIMIT,
+  CLIENT_DAILY_QUOTA
+} from "./config.js";
+import { ProxyError } from "./errors.js";
+
+// Inbound limits per client: a token bucket of `requestsPerMinute` and a daily quota that
+// resets at midnight UTC. Clients are API keys, or IP addresses when no key is sent.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = MINUTE_MS;
+// IP clients kept at most, the least recently seen are forgotten first
+const MAX_IP_CLIENTS = 10000;
+
+// Keys are looked up by their hash so a lookup doesn't leak how much of a key matched
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function createClient(name, { requestsPerMinute = CLIENT_RATE_LIMIT, dailyQuota = CLIENT_DAILY_QUOTA } = {}) {
+  return {
+    name,
+    limit: requestsPerMinute,
+    quota: dailyQuota,
+    tokens: requestsPerMinute,
+    lastRefill: Date.now(),
+    day: Math.floor(Date.now() / DAY_MS),
+    used: 0, // requests counted against today's quota
+    requests: 0,
+    rejected: 0
+  };
+}
+
+function loadKeys(path) {
+  const keys = new Map();
+  if (!path) return keys;
+
+  let values;
+  try {
+    const text = readFileSync(path, "utf8");
+    values = extname(path) === ".json" ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new ConfigError([`could not read the file: ${err.message}`], path);
+  }
+
+  const list = Array.isArray(values) ? values : values?.keys;
+  if (!Array.isArray(list)) {
+    throw new ConfigError(["expected a list of keys, or { keys: [...] }"], path);
+  }
+
+  const problems = [];
+  const isLimit = value => value === undefined || (Number.isInteger(value) && value >= 0);
+  list.forEach((entry, index) => {
+    const { key, name = `key-${index + 1}`, requestsPerMinute, dailyQuota } = entry || {};
+    if (typeof key !== "string" || key.length < 16) {
+      problems.push(`keys[${index}].key: expected a string of at least 16 characters`);
+    } else if (keys.has(hashKey(key))) {
+      problems.push(`keys[${index}].key: duplicate key`);
+    } else if (typeof name !== "string") {
+      problems.push(`keys[${index}].name: expected a string`);
+    } else if (!isLimit(requestsPerMinute) || !isLimit(dailyQuota)) {
+      problems.push(`keys[${index}]: requestsPerMinute and dailyQuota must be integers >= 0`);
+    } else {
+      keys.set(hashKey(key), createClient(name, { requestsPerMinute, dailyQuota }));
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, path);
+  }
+  return keys;
+}
+
+const keyClients = loadKeys(API_KEYS_FILE);
+const ipClients = new Map();
+// IP clients come and go, their totals are kept here
+const anonymous = { requests: 0, rejected: 0 };
+let lastSweep = Date.now();
+
+function refill(client, now) {
+  client.tokens = Math.min(client.limit, client.tokens + (now - client.lastRefill) * client.limit / MINUTE_MS);
+  client.lastRefill = now;
+
+  const day = Math.floor(now / DAY_MS);
+  if (day !== client.day) {
+    client.day = day;
+    client.used = 0;
+  }
+}
+
+// Forget IP clients that are back to a full bucket and have no quota usage to remember
+function sweep(now) {
+  lastSweep = now;
+  for (const [ip, client] of ipClients) {
+    refill(client, now);
+    if (client.tokens >= client.limit && (client.quota === 0 || client.used === 0)) {
+      ipClients.delete(ip);
+    }
+  }
+}
+
+// RateLimit-* headers for whichever limit has fewer requests left
+function rateLimitHeaders(client, now) {
+  const limits = [];
+  if (client.limit > 0) {
+    limits.push({
+      limit: client.limit,
+      remaining: Math.floor(client.tokens),
+      reset: Math.ceil((client.limit - client.tokens) * MINUTE_MS / client.limit / 1000),
+      policy: `${client.limit};w=60`
+    });
+  }
+  if (client.quota > 0) {
+    limits.push({
+      limit: client.quota,
+      remaining: Math.max(0, client.quota - client.used),
+      reset: Math.ceil(((client.day + 1) * DAY_MS - now) / 1000),
+      policy: `${client.quota};w=86400`
+    });
+  }
+  if (limits.length === 0) return {};
+
+  const tightest = limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  return {
+    "RateLimit-Limit": String(tightest.limit),
+    "RateLimit-Remaining": String(tightest.remaining),
+    "RateLimit-Reset": String(tightest.reset),
+    "RateLimit-Policy": limits.map(limit => limit.policy).join(", ")
+  };
+}
+
+// Identify the client and count the request against its limits, a batch costs one request
+// per item. Adds the RateLimit-* headers to `headers` and throws a ProxyError when the
+// request is refused. The key comes from `X-API-Key` or `?api_key=`, which is removed
+// from `params`, clients without a key are counted by `ip`. Returns the client's name for logging.
+export function admitClient(req, params, headers, ip, cost = 1) {
+  const key = req.headers.get("x-api-key") || params.get("api_key");
+  params.delete("api_key");
+
+  let client;
+  if (key) {
+    client = keyClients.get(hashKey(key));
+    if (!client) {
+      throw new ProxyError(401, "invalid_api_key", "Unknown API key");
+    }
+  } else if (API_KEY_REQUIRED) {
+    throw new ProxyError(401, "api_key_required", "Send an API key in the X-API-Key header or ?api_key=");
+  } else {
+    client = ipClients.get(ip) || createClient(`ip:${ip}`);
+    // Move to the most recently seen position
+    ipClients.delete(ip);
+    ipClients.set(ip, client);
+    for (const oldest of ipClients.keys()) {
+      if (ipClients.size <= MAX_IP_CLIENTS) break;
+      ipClients.delete(oldest);
+    }
+  }
+
+  const now = Date.now();
+  if (now - lastSweep > SWEEP_INTERVAL) sweep(now);
+  refill(client, now);
+
+  const totals = key ? client : anonymous;
+  totals.requests++;
+
+  let error = null;
+  if (client.quota > 0 && client.used + cost > client.quota) {
+    error = new ProxyError(429, "quota_exceeded", `Daily quota of ${client.quota} requests used up`, {
+      retryAfter: Math.ceil(((client.day + 1) * DAY_MS - now) / 1000)
+    });
+  } else if (client.limit > 0 && client.tokens < cost) {
+    const message = cost > client.limit
+      ? `A batch of ${cost} is more than the rate limit of ${client.limit} requests per minute`
+      : `Rate limit of ${client.limit} requests per minute exceeded`;
+    error = new ProxyError(429, "client_rate_limited", message, {
+      retryAfter: Math.ceil((cost - client.tokens) * MINUTE_MS / client.limit / 1000)
+    });
+  } else {
+    if (client.limit > 0) client.tokens -= cost;
+    client.used += cost;
+  }
+
+  Object.assign(headers, rateLimitHeaders(client, now));
+  if (error) {
+    totals.rejected++;
+    throw error;
+  }
+  return client.name;
+}
+
+export function getClientStats() {
+  return {
+    keyRequired: API_KEY_REQUIRED,
+    keys: [...keyClients.values()].map(client => ({
+      name: client.name,
+      requests: client.requests,
+      rejected: client.rejected,
+      usedToday: client.day === Math.floor(Date.now() / DAY_MS) ? client.used : 0,
+      requestsPerMinute: client.limit,
+      dailyQuota: client.quota
+    })),
+    anonymous: {
+      trackedIPs: ipClients.size,
+      requests: anonymous.requests,
+      rejected: anonymous.rejected
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import { promisify } from "node:util";
+import { gzip, brotliCompress, constants } from "node:zlib";
+import { COMPRESSION_ENABLED, COMPRESSION_MIN_BYTES, COMPRESSION_CACHE_MAX_BYTES } from "./config.js";
+
+const encoders = {
+  br: body => promisify(brotliCompress)(body, {
+    params: {
+      [constants.BROTLI_PARAM_QUALITY]: 6,
+      [constants.BROTLI_PARAM_SIZE_HINT]: body.length
+    }
+  }),
+  gzip: body => promisify(gzip)(body)
+};
+
+// Encoded bodies of cache hits, least recently used first. Each item holds the identity
+// body and whichever encodings were asked for, valid while its version matches.
+const bodies = new Map();
+let storedBytes = 0;
+
+const compressionStats = {
+  responses: 0,
+  uncompressedBytes: 0,
+  sentBytes: 0,
+  encodings: { br: 0, gzip: 0, identity: 0 },
+  precomputedHits: 0
+};
+
+// Pick br or gzip from Accept-Encoding by q-value, br wins ties. Returns null for identity.
+export function negotiateEncoding(acceptEncoding) {
+  if (!COMPRESSION_ENABLED || !acceptEncoding) return null;
+
+  const weights = {};
+  for (const part of acceptEncoding.toLowerCase().split(",")) {
+    const [name, ...options] = part.trim().split(";");
+    const q = options.map(option => option.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    weights[name] = q ? Number(q[1]) : 1;
+  }
+
+  let best = null;
+  for (const encoding of ["br", "gzip"]) {
+    const weight = weights[encoding] ?? weights["*"] ?? 0;
+    if (weight > 0 && (best === null || weight > best.weight)) {
+      best = { encoding, weight };
+    }
+  }
+  return best ? best.encoding : null;
+}
+
+function storedSize(item) {
+  return item.identity.length + (item.br?.length || 0) + (item.gzip?.length || 0);
+}
+
+function store(key, item) {
+  const previous = bodies.get(key);
+  if (previous) {
+    bodies.delete(key);
+    storedBytes -= storedSize(previous);
+  }
+
+  const size = storedSize(item);
+  if (size > COMPRESSION_CACHE_MAX_BYTES) return;
+
+  bodies.set(key, item);
+  storedBytes += size;
+  for (const [oldest, oldItem] of bodies) {
+    if (storedBytes <= COMPRESSION_CACHE_MAX_BYTES) break;
+    bodies.delete(oldest);
+    storedBytes -= storedSize(oldItem);
+  }
+}
+
+function record(item, encoding, body) {
+  compressionStats.responses++;
+  compressionStats.uncompressedBytes += item.identity.length;
+  compressionStats.sentBytes += body.length;
+  compressionStats.encodings[encoding || "identity"]++;
+}
+
+// Serialize and compress a response body. With a cache key and version (the entry's ETag),
+// the result is kept and later hits skip both `serialize` and compression.
+// Resolves to `{ body, encoding }`, encoding is null when the body is sent as is.
+export async function encodeBody(serialize, encoding, { key, version } = {}) {
+  let item = key ? bodies.get(key) : undefined;
+
+  if (item && item.version === version) {
+    compressionStats.precomputedHits++;
+    // Move to the most recently used position
+    bodies.delete(key);
+    bodies.set(key, item);
+  } else {
+    item = { version, identity: Buffer.from(serialize()) };
+  }
+
+  if (!encoding || item.identity.length < COMPRESSION_MIN_BYTES) {
+    if (key) store(key, item);
+    record(item, null, item.identity);
+    return { body: item.identity, encoding: null };
+  }
+
+  if (!item[encoding]) {
+    item = { ...item, [encoding]: await encoders[encoding](item.identity) };
+  }
+  if (key) store(key, item);
+  record(item, encoding, item[encoding]);
+  return { body: item[encoding], encoding };
+}
+
+export function getCompressionStats() {
+  const { uncompressedBytes, sentBytes } = compressionStats;
+  return {
+    enabled: COMPRESSION_ENABLED,
+    responses: compressionStats.responses,
+    uncompressedBytes,
+    sentBytes,
+    savedRatio: uncompressedBytes > 0 ? ((1 - sentBytes / uncompressedBytes) * 100).toFixed(2) + "%" : "0%",
+    encodings: { ...compressionStats.encodings },
+    precomputedHits: compressionStats.precomputedHits,
+    storedBodies: bodies.size,
+    storedBytes
+  };
+}
@@ -0,0 +1,408 @@
+import { existsSync, readFileSync } from "node:fs";
+import { extname } from "node:path";
+import { parse as parseYaml } from "yaml";
+
+// Settings come from defaults, then an optional JSON/YAML file, then environment variables.
+// The file is CONFIG_FILE, or the first of config.json, config.yaml and config.yml that exists.
+
+export class ConfigError extends Error {
+  constructor(problems, source) {
+    super(`Invalid configuration${source ? ` in ${source}` : ""}:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Value parsers, each returns the parsed value or throws with what was expected
+const types = {
+  string() {
+    return value => {
+      if (typeof value !== "string") throw new Error("expected a string");
+      return value;
+    };
+  },
+
+  url() {
+    return value => {
+      if (typeof value !== "string") throw new Error("expected a URL");
+      try {
+        new URL(value);
+      } catch {
+        throw new Error("expected a URL");
+      }
+      return value.replace(/\/+$/, "");
+    };
+  },
+
+  integer({ min = -Infinity, max = Infinity } = {}) {
+    return value => {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`expected an integer${min > -Infinity ? ` >= ${min}` : ""}${max < Infinity ? ` and <= ${max}` : ""}`);
+      }
+      return number;
+    };
+  },
+
+  // Milliseconds as a number, or a string such as "500ms", "30s", "15m", "12h" or "7d"
+  duration({ min = 0 } = {}) {
+    return value => {
+      let ms = value;
+      if (typeof value === "string") {
+        const match = value.trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/);
+        ms = match ? Number(match[1]) * DURATION_UNITS[match[2] || "ms"] : NaN;
+      }
+      if (typeof ms !== "number" || !Number.isFinite(ms) || ms < min) {
+        throw new Error(`expected a duration${min > 0 ? ` of at least ${min}ms` : ""} such as 30000, "30s", "15m", "12h" or "7d"`);
+      }
+      return Math.round(ms);
+    };
+  },
+
+  boolean() {
+    return value => {
+      if (typeof value === "boolean") return value;
+      const text = String(value).toLowerCase();
+      if (["true", "1", "yes", "on"].includes(text)) return true;
+      if (["false", "0", "no", "off"].includes(text)) return false;
+      throw new Error("expected true or false");
+    };
+  },
+
+  oneOf(choices) {
+    return value => {
+      if (!choices.includes(value)) {
+        throw new Error(`expected one of ${choices.map(choice => JSON.stringify(choice)).join(", ")}`);
+      }
+      return value;
+    };
+  },
+
+  // An array, or a comma-separated string from the environment
+  list() {
+    return value => {
+      const items = typeof value === "string" ? value.split(",").map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(items) || !items.every(item => typeof item === "string")) {
+        throw new Error("expected a list of strings");
+      }
+      return items;
+    };
+  },
+
+  // Structured values, JSON when coming from the environment
+  json(validate) {
+    return value => validate(typeof value === "string" ? JSON.parse(value) : value);
+  }
+};
+
+function warmTargets(targets) {
+  if (!Array.isArray(targets)) throw new Error("expected a list of { endpoint, params }");
+
+  return targets.map((target, index) => {
+    const { endpoint, params = {} } = target || {};
+    if (typeof endpoint !== "string" || typeof params !== "object" || params === null ||
+        !Object.values(params).every(value => typeof value === "string")) {
+      throw new Error(`entry ${index}: expected { endpoint: string, params: { [name]: string } }`);
+    }
+    return { endpoint, params };
+  });
+}
+
+const settings = {
+  BASE_URL: { type: types.url(), default: "https://api.jikan.moe/v4" },
+  PORT: { type: types.integer({ min: 1, max: 65535 }), default: 3000 },
+  CACHE_DURATION: { type: types.duration({ min: 1000 }), default: "1h" },
+
+  // How long past its TTL an entry is served while a background refresh runs
+  STALE_WHILE_REVALIDATE: { type: types.duration(), default: "1h" },
+  // How long past its TTL an entry is served when the upstream fails
+  STALE_IF_ERROR: { type: types.duration(), default: "24h" },
+
+  // How long negative results such as a 404 for a missing id are cached
+  NEGATIVE_CACHE_TTL: { type: types.duration(), default: "5m" },
+
+  // In-memory cache bounds, past either one entries are evicted
+  CACHE_MAX_ENTRIES: { type: types.integer({ min: 1 }), default: 5000 },
+  CACHE_MAX_BYTES: { type: types.integer({ min: 1024 }), default: 100 * 1024 * 1024 },
+  CACHE_EVICTION_POLICY: { type: types.oneOf(["lru", "lfu"]), default: "lru" },
+  // Cache key prefixes that are never evicted (long-TTL, rarely changing data)
+  CACHE_PINNED_PREFIXES: { type: types.list(), default: ["genres_", "studios_list"] },
+
+  // Persistent cache store, empty lets servers default to fs and Vercel to memory
+  CACHE_STORE: { type: types.oneOf(["", "memory", "fs", "sqlite", "redis"]), default: "" },
+  CACHE_DIR: { type: types.string(), default: "./cache" },
+  SQLITE_PATH: { type: types.string(), default: "./cache/cache.sqlite" },
+  REDIS_URL: { type: types.url(), default: "redis://127.0.0.1:6379" },
+  // A stalled Redis fails the lookup instead of holding up every cache miss
+  REDIS_CONNECT_TIMEOUT: { type: types.duration({ min: 100 }), default: "5s" },
+  REDIS_COMMAND_TIMEOUT: { type: types.duration({ min: 100 }), default: "2s" },
+  LOGS_DIR: { type: types.string(), default: "./logs" },
+  // Lines below this level are dropped
+  LOG_LEVEL: { type: types.oneOf(["debug", "info", "warn", "error"]), default: "info" },
+  // Log files roll over to a numbered file past this size and are deleted after
+  // LOG_RETENTION_DAYS, 0 keeps them forever
+  LOG_MAX_FILE_SIZE: { type: types.integer({ min: 1024 }), default: 10 * 1024 * 1024 },
+  LOG_RETENTION_DAYS: { type: types.integer({ min: 0 }), default: 14 },
+  // Log lines are buffered and appended to the file in the background this often
+  LOG_FLUSH_INTERVAL: { type: types.duration({ min: 10 }), default: "1s" },
+
+  // Upstream rate limits (Jikan allows bursts per second and a per-minute budget)
+  MAX_REQUESTS_PER_SECOND: { type: types.integer({ min: 1 }), default: 4 },
+  MAX_REQUESTS_PER_MINUTE: { type: types.integer({ min: 1 }), default: 60 },
+  MAX_QUEUE_LENGTH: { type: types.integer({ min: 1 }), default: 100 },
+  QUEUE_TIMEOUT: { type: types.duration({ min: 1 }), default: "30s" },
+  MAX_RATE_LIMIT_RETRIES: { type: types.integer({ min: 0 }), default: 3 },
+
+  // Per-attempt upstream timeout and retries for timeouts, network errors and 5xx
+  UPSTREAM_TIMEOUT: { type: types.duration({ min: 100 }), default: "10s" },
+  UPSTREAM_RETRIES: { type: types.integer({ min: 0 }), default: 2 },
+  UPSTREAM_RETRY_BASE_DELAY: { type: types.duration(), default: "500ms" },
+  UPSTREAM_RETRY_MAX_DELAY: { type: types.duration(), default: "5s" },
+  // Consecutive upstream failures that open the circuit breaker, and how long it stays open
+  BREAKER_FAILURE_THRESHOLD: { type: types.integer({ min: 1 }), default: 5 },
+  BREAKER_COOLDOWN: { type: types.duration({ min: 1000 }), default: "30s" },
+
+  // Cache warming for endpoints almost every client needs, run by long-running servers
+  WARM_ENABLED: { type: types.boolean(), default: true },
+  WARM_INTERVAL: { type: types.duration({ min: 1000 }), default: "10m" },
+  WARM_REFRESH_AHEAD: { type: types.duration(), default: "30m" },
+  WARM_SPACING: { type: types.duration(), default: "2s" },
+  WARM_TARGETS: {
+    type: types.json(warmTargets),
+    default: [
+      { endpoint: "seasons", params: { now: "true" } },
+      ...["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"]
+        .map(day => ({ endpoint: "schedule", params: { day } })),
+      { endpoint: "top", params: { type: "anime", page: "1" } },
+      { endpoint: "genres", params: { type: "anime" } },
+      { endpoint: "genres", params: { type: "manga" } }
+    ]
+  },
+
+  // gzip/Brotli for responses of at least COMPRESSION_MIN_BYTES, encoded cache hits are kept
+  // up to COMPRESSION_CACHE_MAX_BYTES so they are not serialized and compressed again
+  COMPRESSION_ENABLED: { type: types.boolean(), default: true },
+  COMPRESSION_MIN_BYTES: { type: types.integer({ min: 0 }), default: 1024 },
+  COMPRESSION_CACHE_MAX_BYTES: { type: types.integer({ min: 0 }), default: 32 * 1024 * 1024 },
+
+  // Most lookups in one POST /api/batch or ?ids= request
+  BATCH_MAX_ITEMS: { type: types.integer({ min: 1, max: 500 }), default: 50 },
+  // Largest POST /api/batch body, bigger ones are refused without being read to the end
+  BATCH_MAX_BODY_BYTES: { type: types.integer({ min: 1024 }), default: 64 * 1024 },
+  // Most pages one ?all=true or ?pages= request walks through
+  MAX_AGGREGATE_PAGES: { type: types.integer({ min: 1, max: 100 }), default: 10 },
+
+  // Bearer token for /api/admin, the admin API is disabled when empty
+  ADMIN_TOKEN: { type: types.string(), default: "" },
+
+  // Client API keys, a JSON or YAML file of { key, name, requestsPerMinute, dailyQuota }.
+  // Without API_KEY_REQUIRED clients without a key are let in and limited per IP.
+  API_KEYS_FILE: { type: types.string(), default: "" },
+  API_KEY_REQUIRED: { type: types.boolean(), default: false },
+  // Identify clients by the first X-Forwarded-For address instead of the socket address.
+  // Only safe behind a proxy that sets the header, on by default on Vercel.
+  TRUST_PROXY: { type: types.boolean(), default: Boolean(process.env.VERCEL) },
+  // Default per-client limits, 0 turns a limit off
+  CLIENT_RATE_LIMIT: { type: types.integer({ min: 0 }), default: 120 },
+  CLIENT_DAILY_QUOTA: { type: types.integer({ min: 0 }), default: 0 },
+
+  // Origins allowed to call the API from a browser: "*", "https://app.example.com" or
+  // "https://*.example.com". Credentialed requests are only allowed for listed origins.
+  CORS_ORIGINS: { type: types.list(), default: ["*"] },
+  CORS_CREDENTIALS: { type: types.boolean(), default: false },
+  CORS_ALLOWED_HEADERS: {
+    type: types.list(),
+    default: ["Content-Type", "X-API-Key", "X-Request-Id", "If-None-Match", "If-Modified-Since"]
+  },
+  CORS_EXPOSED_HEADERS: {
+    type: types.list(),
+    default: [
+      "X-Cache", "X-Cache-Age", "X-Request-Id", "Age", "ETag", "Warning", "Retry-After",
+      "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy"
+    ]
+  },
+  // How long browsers may reuse a preflight response
+  CORS_MAX_AGE: { type: types.duration(), default: "24h" },
+
+  // nosniff, no framing, no referrer and a locked-down CSP on every response
+  SECURITY_HEADERS: { type: types.boolean(), default: true },
+  // Strict-Transport-Security max-age, 0 leaves the header out (set it when served over HTTPS only)
+  HSTS_MAX_AGE: { type: types.duration(), default: 0 }
+};
+
+// Per-endpoint TTLs, referenced by the route table, null follows CACHE_DURATION.
+// Override with `TTL: { top: "1h" }` in the config file or TTL_TOP=1h in the environment.
+const ttlDefaults = {
+  anime: null,
+  anime_search: null,
+  anime_details: "24h",
+  anime_episodes: "6h",
+  anime_community: "6h",
+  manga: null,
+  manga_search: null,
+  manga_details: "24h",
+  manga_community: "6h",
+  season: "12h",
+  season_now: "6h",
+  seasons_list: "24h",
+  top: "3h",
+  schedule: "12h",
+  genres: "7d",
+  character: "7d",
+  character_details: "7d",
+  characters_search: null,
+  person: "7d",
+  person_details: "7d",
+  people_search: null,
+  reviews: "6h",
+  recommendations: "12h",
+  studio: "7d",
+  studios_list: "7d",
+  producer: "7d",
+  producers_search: null,
+  magazines: "7d",
+  club: "12h",
+  clubs_search: null,
+  user: "1h",
+  watch: "1h"
+};
+
+function readConfigFile(env) {
+  const candidates = env.CONFIG_FILE ? [env.CONFIG_FILE] : ["config.json", "config.yaml", "config.yml"];
+  const path = candidates.find(candidate => existsSync(candidate));
+
+  if (!path) {
+    if (env.CONFIG_FILE) throw new ConfigError([`config file ${env.CONFIG_FILE} does not exist`]);
+    return { path: null, values: {} };
+  }
+
+  let values;
+  try {
+    const text = readFileSync(path, "utf8");
+    values = extname(path) === ".json" ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new ConfigError([`could not parse the file: ${err.message}`], path);
+  }
+
+  if (values === null || values === undefined) return { path, values: {} };
+  if (typeof values !== "object" || Array.isArray(values)) {
+    throw new ConfigError(["expected a mapping of setting names to values"], path);
+  }
+  return { path, values };
+}
+
+export function loadConfig(env = process.env) {
+  const { path, values } = readConfigFile(env);
+  const problems = [];
+  const config = {};
+
+  for (const name of Object.keys(values)) {
+    if (!(name in settings) && name !== "TTL") {
+      problems.push(`${name}: unknown setting`);
+    }
+  }
+
+  for (const [name, { type, default: fallback }] of Object.entries(settings)) {
+    const fromEnv = env[name] !== undefined && env[name] !== "";
+    const source = fromEnv ? `environment variable ${name}` : name;
+    const value = fromEnv ? env[name] : name in values ? values[name] : fallback;
+    try {
+      config[name] = type(value);
+    } catch (err) {
+      problems.push(`${source}: ${err.message}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  const ttlOverrides = values.TTL || {};
+  if (typeof ttlOverrides !== "object" || Array.isArray(ttlOverrides)) {
+    problems.push("TTL: expected a mapping of endpoint names to durations");
+  } else {
+    for (const name of Object.keys(ttlOverrides)) {
+      if (!(name in ttlDefaults)) {
+        problems.push(`TTL.${name}: unknown endpoint, expected one of ${Object.keys(ttlDefaults).join(", ")}`);
+      }
+    }
+  }
+
+  const duration = types.duration({ min: 1000 });
+  config.TTL = {};
+  for (const [name, fallback] of Object.entries(ttlDefaults)) {
+    const envName = `TTL_${name.toUpperCase()}`;
+    const fromEnv = env[envName] !== undefined && env[envName] !== "";
+    const value = fromEnv ? env[envName] : ttlOverrides[name] ?? fallback ?? config.CACHE_DURATION;
+    try {
+      config.TTL[name] = duration(value);
+    } catch (err) {
+      problems.push(`${fromEnv ? `environment variable ${envName}` : `TTL.${name}`}: ${err.message}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, path);
+  }
+  return config;
+}
+
+const config = loadConfig();
+
+export const {
+  BASE_URL,
+  PORT,
+  CACHE_DURATION,
+  STALE_WHILE_REVALIDATE,
+  STALE_IF_ERROR,
+  NEGATIVE_CACHE_TTL,
+  CACHE_MAX_ENTRIES,
+  CACHE_MAX_BYTES,
+  CACHE_EVICTION_POLICY,
+  CACHE_PINNED_PREFIXES,
+  CACHE_STORE,
+  CACHE_DIR,
+  SQLITE_PATH,
+  REDIS_URL,
+  REDIS_CONNECT_TIMEOUT,
+  REDIS_COMMAND_TIMEOUT,
+  LOGS_DIR,
+  LOG_LEVEL,
+  LOG_MAX_FILE_SIZE,
+  LOG_RETENTION_DAYS,
+  LOG_FLUSH_INTERVAL,
+  MAX_REQUESTS_PER_SECOND,
+  MAX_REQUESTS_PER_MINUTE,
+  MAX_QUEUE_LENGTH,
+  QUEUE_TIMEOUT,
+  MAX_RATE_LIMIT_RETRIES,
+  UPSTREAM_TIMEOUT,
+  UPSTREAM_RETRIES,
+  UPSTREAM_RETRY_BASE_DELAY,
+  UPSTREAM_RETRY_MAX_DELAY,
+  BREAKER_FAILURE_THRESHOLD,
+  BREAKER_COOLDOWN,
+  WARM_ENABLED,
+  WARM_INTERVAL,
+  WARM_REFRESH_AHEAD,
+  WARM_SPACING,
+  WARM_TARGETS,
+  COMPRESSION_ENABLED,
+  COMPRESSION_MIN_BYTES,
+  COMPRESSION_CACHE_MAX_BYTES,
+  BATCH_MAX_ITEMS,
+  BATCH_MAX_BODY_BYTES,
+  MAX_AGGREGATE_PAGES,
+  ADMIN_TOKEN,
+  API_KEYS_FILE,
+  API_KEY_REQUIRED,
+  TRUST_PROXY,
+  CLIENT_RATE_LIMIT,
+  CLIENT_DAILY_QUOTA,
+  CORS_ORIGINS,
+  CORS_CREDENTIALS,
+  CORS_ALLOWED_HEADERS,
+  CORS_EXPOSED_HEADERS,
+  CORS_MAX_AGE,
+  SECURITY_HEADERS,
+  HSTS_MAX_AGE,
+  TTL
+} = config;
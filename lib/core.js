@@ -0,0 +1,407 @@
+import { handlersWithStats } from "./handlers.js";
+import { randomUUID } from "node:crypto";
+import { handleAdmin } from "./admin.js";
+import { admitClient } from "./clients.js";
+import { readBatch, parseIds, idsBatch, runBatch } from "./batch.js";
+import { takePageRange, fetchPages } from "./pagination.js";
+import { policyHeaders } from "./cors.js";
+import { ProxyError, toProxyError, errorBody } from "./errors.js";
+import { endpoints, validateRoute, matchPath, routeListing } from "./routes.js";
+import { param } from "./validation.js";
+import { STALE_WHILE_REVALIDATE, STALE_IF_ERROR, TRUST_PROXY } from "./config.js";
+import { encodeBody, negotiateEncoding } from "./compression.js";
+import { counter, histogram, renderMetrics } from "./metrics.js";
+import { log, runWithRequestContext } from "./logger.js";
+
+const HOME = {
+  message: "Jikan API Proxy with High Performance Caching",
+  version: "1.1.0",
+  endpoints: {
+    ...routeListing(),
+    "/api/batch": "POST several lookups at once, or add ?ids=1,5,20 to an endpoint that takes an id",
+    "/api/stats": "Get server statistics",
+    "/metrics": "Prometheus metrics",
+    "/api/admin/cache": "Inspect, purge, refresh, save and load the cache (needs ADMIN_TOKEN)"
+  },
+  documentation: "Access /api/stats to see server performance"
+};
+
+const requestsTotal = counter("jikan_proxy_requests_total", "Requests by endpoint and response status", ["endpoint", "status"]);
+const requestDuration = histogram("jikan_proxy_request_duration_seconds", "End-to-end request time", ["endpoint"]);
+const cacheResults = counter(
+  "jikan_proxy_cache_results_total",
+  "Responses by endpoint and how they were served: hit, miss, stale, coalesced, stale-if-error or bypass",
+  ["endpoint", "result"]
+);
+const errorsTotal = counter("jikan_proxy_errors_total", "Error responses by endpoint and error code", ["endpoint", "code"]);
+
+// Endpoint label for metrics, anything clients make up is grouped so label values stay bounded
+function endpointLabel(endpoint) {
+  if (!endpoint) return "other";
+  return Object.hasOwn(handlersWithStats, endpoint) || ["home", "admin", "metrics", "batch"].includes(endpoint)
+    ? endpoint
+    : "unknown";
+}
+
+function json(body, headers, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+// Every error goes out in the same envelope, never cached by clients
+function errorResponse(error, headers, context) {
+  const proxyError = toProxyError(error);
+  const errorHeaders = { ...headers, "Cache-Control": "no-store" };
+  if (proxyError.retryAfter !== undefined) {
+    errorHeaders["Retry-After"] = String(proxyError.retryAfter);
+  }
+
+  errorsTotal.inc({ endpoint: endpointLabel(context.endpoint), code: proxyError.code });
+
+  const level = proxyError.status >= 500 ? "error" : "warn";
+  log(proxyError.message, level, { status: proxyError.status, code: proxyError.code });
+
+  return json(errorBody(proxyError, context), errorHeaders, proxyError.status);
+}
+
+// Freshness and validator headers derived from the cache entry a response came from.
+// Caches subtract Age from max-age, so max-age is the entry's whole TTL and Age how much of it is used up.
+// Compressed bodies differ byte for byte from the uncompressed one, so they only get a weak ETag.
+function cacheHeaders({ timestamp, duration, etag }, weak) {
+  const expires = timestamp + duration;
+  const age = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+
+  return {
+    "Cache-Control": `public, max-age=${Math.floor(duration / 1000)}, stale-while-revalidate=${Math.floor(STALE_WHILE_REVALIDATE / 1000)}, stale-if-error=${Math.floor(STALE_IF_ERROR / 1000)}`,
+    "Age": String(age),
+    "Expires": new Date(expires).toUTCString(),
+    "Last-Modified": new Date(timestamp).toUTCString(),
+    "ETag": weak ? `W/${etag}` : etag
+  };
+}
+
+// Whether the client's copy is still current, If-None-Match wins over If-Modified-Since
+function notModified(req, { timestamp, etag }) {
+  const ifNoneMatch = req.headers.get("if-none-match");
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(",").map(tag => tag.trim().replace(/^W\//, ""));
+    return tags.includes("*") || tags.includes(etag);
+  }
+
+  // HTTP dates have whole seconds, so compare against the second the entry was written
+  const ifModifiedSince = Date.parse(req.headers.get("if-modified-since") || "");
+  return !Number.isNaN(ifModifiedSince) && Math.floor(timestamp / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Results of a batch as one JSON document, or as NDJSON lines in the order items finish
+async function batchResponse(req, items, headers, stream) {
+  headers["Cache-Control"] = "no-store";
+
+  if (stream) {
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    const body = new ReadableStream({
+      start(controller) {
+        runBatch(items, result => {
+          if (!cancelled) controller.enqueue(encoder.encode(`${JSON.stringify(result)}\n`));
+        }).then(() => {
+          if (!cancelled) controller.close();
+        });
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    return new Response(body, { headers: { ...headers, "Content-Type": "application/x-ndjson" } });
+  }
+
+  const results = await runBatch(items);
+  headers["Vary"] = headers["Vary"] ? `${headers["Vary"]}, Accept-Encoding` : "Accept-Encoding";
+  const { body, encoding } = await encodeBody(
+    () => JSON.stringify({
+      source: "Jikan API Proxy",
+      count: results.length,
+      errors: results.filter(result => result.error).length,
+      results
+    }),
+    negotiateEncoding(req.headers.get("accept-encoding"))
+  );
+  if (encoding) {
+    headers["Content-Encoding"] = encoding;
+  }
+  return new Response(body, { headers });
+}
+
+function wantsStream(req, params) {
+  const stream = params.get("stream");
+  params.delete("stream");
+  return stream === "true" || (req.headers.get("accept") || "").includes("application/x-ndjson");
+}
+
+// The address clients are counted by. X-Forwarded-For is set by whoever sends the
+// request, so it is only believed when a trusted proxy in front of us sets it.
+function clientAddress(req, remoteAddress) {
+  const forwarded = TRUST_PROXY && req.headers.get("x-forwarded-for");
+  return (forwarded ? forwarded.split(",")[0].trim() : remoteAddress) || "unknown";
+}
+
+// Runtime-agnostic entry point: takes a standard Request and the peer address of the
+// connection it came in on, returns a Response
+export async function handleRequest(req, { remoteAddress } = {}) {
+  const startTime = performance.now();
+  const clientIP = clientAddress(req, remoteAddress);
+
+  // Keep the caller's request ID when it looks like one, so log lines can be matched up
+  const incomingId = req.headers.get("x-request-id");
+  const context = { requestId: incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : randomUUID() };
+
+  return runWithRequestContext(context, async () => {
+    const response = await routeRequest(req, context, clientIP);
+    const duration = performance.now() - startTime;
+
+    const labels = { endpoint: endpointLabel(context.endpoint) };
+    requestsTotal.inc({ ...labels, status: response.status });
+    requestDuration.observe(labels, duration / 1000);
+
+    // Keys sent as ?api_key= stay out of the logs
+    const url = new URL(req.url);
+    if (url.searchParams.has("api_key")) {
+      url.searchParams.set("api_key", "redacted");
+    }
+    log("Request completed", "info", {
+      method: req.method,
+      path: `${url.pathname}${url.search}`,
+      status: response.status,
+      durationMs: Number(duration.toFixed(2)),
+      clientIP
+    });
+    return response;
+  });
+}
+
+// `context` is the request's log context: the request ID, then the endpoint and cache
+// outcome once they are known. The upstream status and latency are added by the limiter.
+async function routeRequest(req, context, clientIP) {
+  const url = new URL(req.url);
+  const path = url.pathname;
+  const searchParams = url.searchParams;
+  const { requestId } = context;
+
+  // CORS and security headers
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Request-Id": requestId,
+    ...policyHeaders(req),
+    "Cache-Control": "public, max-age=3600"
+  };
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: { "X-Request-Id": requestId, ...policyHeaders(req, { preflight: true }) }
+    });
+  }
+
+  // Extract endpoint from path, the /api prefix is optional. Only the names are case-insensitive,
+  // values such as usernames are passed on as sent.
+  const parts = path.split("/").filter(Boolean);
+  if (parts[0]?.toLowerCase() === "api") parts.shift();
+  let endpoint = parts[0]?.toLowerCase();
+  context.endpoint = endpoint || "home";
+
+  // Home page with API documentation
+  if (!endpoint) {
+    return json(HOME, headers);
+  }
+
+  // Prometheus scrape target
+  if (endpoint === "metrics") {
+    headers["Cache-Control"] = "no-store";
+    try {
+      return new Response(await renderMetrics(), {
+        headers: { ...headers, "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+      });
+    } catch (error) {
+      return errorResponse(error, headers, { endpoint, requestId });
+    }
+  }
+
+  // Authenticated cache administration
+  if (endpoint === "admin") {
+    headers["Cache-Control"] = "no-store";
+    try {
+      const body = await handleAdmin(req, parts.slice(1).join("/").toLowerCase(), searchParams);
+      return json(body, headers);
+    } catch (error) {
+      return errorResponse(error, headers, { endpoint, requestId });
+    }
+  }
+
+  // Several lookups in one request, each item counts against the client's rate limit
+  if (endpoint === "batch") {
+    try {
+      if (req.method !== "POST") {
+        throw new ProxyError(405, "method_not_allowed", "Send batches as POST /api/batch");
+      }
+      const items = await readBatch(req);
+      context.client = admitClient(req, searchParams, headers, clientIP, items.length);
+      return await batchResponse(req, items, headers, wantsStream(req, searchParams));
+    } catch (error) {
+      return errorResponse(error, headers, { endpoint, requestId });
+    }
+  }
+
+  // Jikan-style paths such as /api/anime/5/episodes become the equivalent query-string request
+  if (parts.length > 1 || !handlersWithStats[endpoint]) {
+    const matched = matchPath(parts);
+    if (matched) {
+      endpoint = matched.endpoint;
+      context.endpoint = endpoint;
+      searchParams.delete("resource");
+      for (const [name, value] of Object.entries(matched.params)) {
+        searchParams.set(name, value);
+      }
+    } else if (endpoints.includes(endpoint)) {
+      return errorResponse(new ProxyError(404, "route_not_found", `No route for ${path}`, {
+        details: {
+          available_routes: Object.keys(HOME.endpoints).filter(route => `${route}/`.startsWith(`/api/${endpoint}/`))
+        }
+      }), headers, { endpoint, requestId });
+    }
+  }
+
+  // Check if endpoint exists
+  if (!handlersWithStats[endpoint]) {
+    return errorResponse(new ProxyError(404, "endpoint_not_found", `Endpoint ${endpoint} not found`, {
+      details: { available_endpoints: Object.keys(handlersWithStats) }
+    }), headers, { endpoint, requestId });
+  }
+
+  // ?all=true or ?pages=1-5 merge several pages of a listing into one response, ?ids= is a batch instead
+  let ids = null;
+  if (searchParams.has("ids")) {
+    try {
+      ids = parseIds(endpoint, searchParams);
+    } catch (error) {
+      return errorResponse(error, headers, { endpoint, requestId });
+    }
+  }
+  const { range, errors: rangeErrors } = ids === null ? takePageRange(endpoint, searchParams) : { range: null, errors: [] };
+
+  // Per-client rate limits and quotas, by API key or IP. ?ids= costs one request per
+  // distinct id and a page range one per page it may fetch.
+  let cost = 1;
+  if (ids) {
+    cost = ids.length;
+  } else if (range) {
+    cost = range.last - range.first + 1;
+  }
+  try {
+    context.client = admitClient(req, searchParams, headers, clientIP, cost);
+  } catch (error) {
+    return errorResponse(error, headers, { endpoint, requestId });
+  }
+
+  // ?envelope=false sends Jikan's body as is, the cache metadata is still in the headers.
+  // It is not passed on to the handlers, so it never reaches Jikan or the cache key.
+  const envelopeParam = searchParams.get("envelope");
+  searchParams.delete("envelope");
+  const envelope = envelopeParam !== "false";
+
+  // ?ids=1,5,20 runs one lookup per id as a batch
+  if (ids !== null) {
+    try {
+      const stream = wantsStream(req, searchParams);
+      return await batchResponse(req, idsBatch(endpoint, searchParams, ids), headers, stream);
+    } catch (error) {
+      return errorResponse(error, headers, { endpoint, requestId });
+    }
+  }
+
+  // Reject bad parameters before they reach Jikan
+  const invalid = endpoints.includes(endpoint) ? validateRoute(endpoint, searchParams) : [];
+  invalid.push(...rangeErrors);
+  const envelopeError = envelopeParam ? param.boolean()(envelopeParam) : null;
+  if (envelopeError) {
+    invalid.push({ field: "envelope", value: envelopeParam, message: envelopeError });
+  }
+  if (invalid.length > 0) {
+    const fields = invalid.map(error => error.field).join(", ");
+    return errorResponse(new ProxyError(400, "invalid_parameters", `Invalid parameters: ${fields}`, {
+      details: { errors: invalid }
+    }), headers, { endpoint, requestId });
+  }
+
+  try {
+    // Only upstream fetches are rate limited, cache hits are served right away
+    const result = range
+      ? await fetchPages(endpoint, searchParams, range)
+      : await handlersWithStats[endpoint](searchParams);
+    const { data: jikanData, stale } = result;
+    context.cache = result.status || "bypass";
+    cacheResults.inc({ endpoint, result: context.cache });
+
+    // Cached responses carry validators and the entry's remaining TTL, uncached ones are never stored.
+    // The tag only covers Jikan's payload, so it is weak whenever the bytes sent may differ for the
+    // same payload: the envelope changes between a miss, a hit and a stale hit, and so does the encoding.
+    const encoding = negotiateEncoding(req.headers.get("accept-encoding"));
+    if (result.etag) {
+      Object.assign(headers, cacheHeaders(result, envelope || encoding));
+    } else {
+      headers["Cache-Control"] = "no-store";
+    }
+
+    // The body is encoded per Accept-Encoding, 304s included so caches key on it
+    headers["Vary"] = headers["Vary"] ? `${headers["Vary"]}, Accept-Encoding` : "Accept-Encoding";
+
+    // How the response was served, uncached endpoints bypass the cache
+    headers["X-Cache"] = (result.status || "bypass").toUpperCase();
+    if (result.status) {
+      headers["X-Cache-Age"] = headers["Age"];
+    }
+
+    // Mark responses served past their TTL
+    if (stale) {
+      headers["Warning"] = '110 - "Response is Stale"';
+    }
+
+    if (result.etag && (req.method === "GET" || req.method === "HEAD") && notModified(req, result)) {
+      log("Not modified", "debug");
+      return new Response(null, { status: 304, headers });
+    }
+
+    // Add own metadata. It holds absolute times rather than a running age, so every hit
+    // on an entry gets the same bytes and the encoded body can be reused.
+    const fetchedAt = new Date(result.timestamp ?? Date.now()).toISOString();
+    const serialize = () => JSON.stringify(envelope ? {
+      source: "Jikan API Proxy",
+      cached: ["hit", "stale", "stale-if-error"].includes(result.status),
+      stale,
+      timestamp: fetchedAt,
+      endpoint: endpoint,
+      cache: {
+        status: result.status || "bypass",
+        fetchedAt,
+        expiresAt: result.duration ? new Date(result.timestamp + result.duration).toISOString() : null,
+        upstreamLatency: result.latency ?? null
+      },
+      ...jikanData
+    } : jikanData);
+
+    const encoded = await encodeBody(
+      serialize,
+      encoding,
+      result.key ? {
+        key: envelope ? result.key : `${result.key}:raw`,
+        version: `${result.etag}:${result.timestamp}:${result.status}`
+      } : {}
+    );
+    if (encoded.encoding) {
+      headers["Content-Encoding"] = encoded.encoding;
+    }
+
+    return new Response(encoded.body, { headers });
+  } catch (error) {
+    return errorResponse(error, headers, { endpoint, requestId });
+  }
+}
@@ -0,0 +1,64 @@
+import {
+  CORS_ORIGINS,
+  CORS_CREDENTIALS,
+  CORS_ALLOWED_HEADERS,
+  CORS_EXPOSED_HEADERS,
+  CORS_MAX_AGE,
+  SECURITY_HEADERS,
+  HSTS_MAX_AGE
+} from "./config.js";
+
+const ALLOWED_METHODS = "GET, HEAD, POST, OPTIONS";
+
+// "https://*.example.com" matches any subdomain of example.com, but not example.com itself
+function originPattern(entry) {
+  const escaped = entry.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, "[a-z0-9-]+(?:\\.[a-z0-9-]+)*")}$`);
+}
+
+const anyOrigin = CORS_ORIGINS.includes("*");
+const originPatterns = CORS_ORIGINS.filter(entry => entry !== "*").map(originPattern);
+
+// Sent with every response, the API only ever returns JSON or plain text
+const securityHeaders = SECURITY_HEADERS ? {
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+  "Cross-Origin-Resource-Policy": "cross-origin",
+  ...(HSTS_MAX_AGE > 0 ? { "Strict-Transport-Security": `max-age=${Math.floor(HSTS_MAX_AGE / 1000)}; includeSubDomains` } : {})
+} : {};
+
+// Listed origins are echoed back, so they need Vary: Origin and may send credentials.
+// Anything else only gets "*" when every origin is allowed, and never credentials.
+function allowOrigin(origin) {
+  if (origin && originPatterns.some(pattern => pattern.test(origin.toLowerCase()))) {
+    return {
+      "Access-Control-Allow-Origin": origin,
+      ...(CORS_CREDENTIALS ? { "Access-Control-Allow-Credentials": "true" } : {})
+    };
+  }
+  return anyOrigin ? { "Access-Control-Allow-Origin": "*" } : {};
+}
+
+// CORS and security headers for a response to `req`, preflight requests also get
+// the allowed methods and headers
+export function policyHeaders(req, { preflight = false } = {}) {
+  const origin = req.headers.get("origin");
+  const headers = { ...securityHeaders, ...allowOrigin(origin) };
+
+  if (originPatterns.length > 0) {
+    headers["Vary"] = "Origin";
+  }
+
+  if (!headers["Access-Control-Allow-Origin"]) return headers;
+
+  if (preflight) {
+    headers["Access-Control-Allow-Methods"] = ALLOWED_METHODS;
+    headers["Access-Control-Allow-Headers"] = CORS_ALLOWED_HEADERS.join(", ");
+    headers["Access-Control-Max-Age"] = String(Math.floor(CORS_MAX_AGE / 1000));
+  } else if (CORS_EXPOSED_HEADERS.length > 0) {
+    headers["Access-Control-Expose-Headers"] = CORS_EXPOSED_HEADERS.join(", ");
+  }
+  return headers;
+}
@@ -0,0 +1,108 @@
+// Errors that map to an HTTP response, every error body has the same shape:
+// { error: { code, message, status, endpoint, requestId, details? } }
+export class ProxyError extends Error {
+  constructor(status, code, message, { retryAfter, upstreamStatus, details } = {}) {
+    super(message);
+    this.name = "ProxyError";
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter; // seconds
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+  }
+
+  // Worth serving a stale copy or retrying: rate limits, outages and timeouts
+  get transient() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date, returns milliseconds
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Build a ProxyError from a failed Jikan response, keeping its status where it means something to clients
+export async function upstreamError(response) {
+  const status = response.status;
+  let message = `Jikan responded with status ${status}`;
+
+  try {
+    const body = await response.json();
+    if (body && typeof body.message === "string") {
+      message = body.message;
+    }
+  } catch {
+    // Non-JSON error pages keep the generic message
+  }
+
+  if (status === 404) {
+    return new ProxyError(404, "upstream_not_found", message, { upstreamStatus: status });
+  }
+
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    return new ProxyError(429, "upstream_rate_limited", message, {
+      upstreamStatus: status,
+      retryAfter: retryAfter === null ? 1 : Math.ceil(retryAfter / 1000)
+    });
+  }
+
+  if (status === 504) {
+    return new ProxyError(504, "upstream_timeout", message, { upstreamStatus: status });
+  }
+
+  if (status >= 500) {
+    return new ProxyError(502, "upstream_error", message, { upstreamStatus: status });
+  }
+
+  return new ProxyError(status, "upstream_bad_request", message, { upstreamStatus: status });
+}
+
+// Body of a successful Jikan response, an HTML error page or a cut-off body is a bad gateway
+export async function upstreamJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    throw new ProxyError(502, "upstream_error", "Jikan responded with invalid JSON", { upstreamStatus: response.status });
+  }
+}
+
+// Anything that is not a ProxyError yet becomes one
+export function toProxyError(error) {
+  if (error instanceof ProxyError) return error;
+
+  // fetch() rejects with a TypeError when the connection fails
+  if (error instanceof TypeError && /fetch/i.test(error.message)) {
+    return new ProxyError(502, "upstream_unreachable", "Could not reach Jikan");
+  }
+
+  // An AbortSignal.timeout() that fired outside the upstream retries
+  if (error.name === "TimeoutError" || error.name === "AbortError") {
+    return new ProxyError(504, "upstream_timeout", "Jikan did not respond in time");
+  }
+
+  return new ProxyError(500, "internal_error", error.message || "Unknown error");
+}
+
+export function errorBody(error, { endpoint, requestId }) {
+  const body = {
+    code: error.code,
+    message: error.message,
+    status: error.status,
+    endpoint: endpoint || null,
+    requestId
+  };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  return { error: body };
+}
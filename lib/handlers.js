@@ -0,0 +1,94 @@
+import { BASE_URL, TTL } from "./config.js";
+import { fetchWithCache, cacheStats } from "./cache.js";
+import { getLimiterStats } from "./limiter.js";
+import { upstreamFetch, getUpstreamStats } from "./upstream.js";
+import { upstreamError, upstreamJson } from "./errors.js";
+import { stats, performanceMiddleware, getWindowStats } from "./stats.js";
+import { getWarmerStats } from "./warmer.js";
+import { getCompressionStats } from "./compression.js";
+import { getClientStats } from "./clients.js";
+import { endpoints, resolveRoute } from "./routes.js";
+
+// Handler for one endpoint of the route table, resolves to `{ data, stale }`.
+// `options` is passed through to fetchWithCache.
+function routeHandler(endpoint) {
+  return async (params, options) => {
+    const { route, path, key } = resolveRoute(endpoint, params);
+
+    if (route.cache === false) {
+      const response = await upstreamFetch(`${BASE_URL}${path}`);
+      if (!response.ok) {
+        throw await upstreamError(response);
+      }
+      return { data: await upstreamJson(response), stale: false };
+    }
+
+    return await fetchWithCache(`${BASE_URL}${path}`, key, TTL[route.ttl], options);
+  };
+}
+
+// Handlers for every endpoint in the route table, plus the proxy's own stats
+export const handlers = {
+  ...Object.fromEntries(endpoints.map(endpoint => [endpoint, routeHandler(endpoint)])),
+
+  // Stats
+  async stats(params) {
+    // Special endpoint to view server statistics
+    const averageResponseTime = stats.responseTime.length > 0
+      ? stats.responseTime.reduce((sum, time) => sum + time, 0) / stats.responseTime.length
+      : 0;
+    
+    const uptime = Math.floor((Date.now() - stats.startTime) / 1000);
+    const hours = Math.floor(uptime / 3600);
+    const minutes = Math.floor((uptime % 3600) / 60);
+    const seconds = uptime % 60;
+    const limiter = getLimiterStats();
+    const cacheInfo = await cacheStats();
+    
+    const data = {
+      uptime: `${hours}h ${minutes}m ${seconds}s`,
+      requests: stats.requests,
+      cacheHits: stats.cacheHits,
+      cacheMisses: stats.cacheMisses,
+      coalesced: stats.coalesced,
+      negativeHits: stats.negativeHits,
+      staleHits: stats.staleHits,
+      staleIfError: stats.staleIfError,
+      backgroundRefreshes: stats.backgroundRefreshes,
+      refreshErrors: stats.refreshErrors,
+      cacheRatio: stats.requests > 0 ? (stats.cacheHits / stats.requests * 100).toFixed(2) + "%" : "0%",
+      errors: stats.errors,
+      cacheSize: cacheInfo.memory.entries,
+      cacheStore: cacheInfo.store,
+      persistentCacheSize: cacheInfo.persistent,
+      persistentCacheError: cacheInfo.error,
+      cacheMemory: {
+        policy: cacheInfo.memory.policy,
+        bytes: cacheInfo.memory.bytes,
+        maxBytes: cacheInfo.memory.maxBytes,
+        maxEntries: cacheInfo.memory.maxEntries,
+        evictions: cacheInfo.memory.evictions,
+        pinned: cacheInfo.memory.pinned,
+        largestKeys: cacheInfo.memory.largestKeys
+      },
+      averageResponseTime: averageResponseTime.toFixed(2) + "ms",
+      windows: getWindowStats(),
+      queueLength: limiter.queueLength,
+      upstreamLimiter: limiter,
+      upstream: getUpstreamStats(),
+      compression: getCompressionStats(),
+      clients: getClientStats(),
+      cacheWarmer: getWarmerStats()
+    };
+
+    return { data, stale: false };
+  }
+};
+
+// Add performance middleware to all handlers
+export const handlersWithStats = Object.fromEntries(
+  Object.entries(handlers).map(([name, handler]) => [
+    name, 
+    performanceMiddleware(Object.defineProperty(handler, 'name', { value: name }))
+  ])
+);
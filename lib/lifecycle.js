@@ -0,0 +1,32 @@
+import { CACHE_STORE, LOGS_DIR, CACHE_DURATION, WARM_ENABLED } from "./config.js";
+import { useCacheStore, cleanupCache, closeCache } from "./cache.js";
+import { enableFileLogging, flushLogs, log } from "./logger.js";
+import { startWarmer } from "./warmer.js";
+
+// Persistent cache, cache cleanup, cache warming and shutdown hooks for long-running servers
+export async function startMaintenance() {
+  enableFileLogging(LOGS_DIR);
+  await useCacheStore(CACHE_STORE || "fs");
+
+  log(`Cache active with ${CACHE_DURATION / 1000 / 60} minutes default duration`);
+
+  // Clean up expired cache entries every hour
+  setInterval(() => {
+    cleanupCache().catch(err => log(`Cache cleanup failed: ${err.message}`, "error"));
+  }, 60 * 60 * 1000);
+
+  // Keep hot, predictable endpoints refreshed before they expire
+  if (WARM_ENABLED) {
+    startWarmer();
+  }
+
+  // Flush pending cache and log writes before exiting
+  const shutdown = async () => {
+    log("Shutting down, flushing cache...");
+    await closeCache();
+    await flushLogs();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,194 @@
+import {
+  MAX_REQUESTS_PER_SECOND,
+  MAX_REQUESTS_PER_MINUTE,
+  MAX_QUEUE_LENGTH,
+  QUEUE_TIMEOUT,
+  MAX_RATE_LIMIT_RETRIES,
+  BASE_URL
+} from "./config.js";
+import { ProxyError, parseRetryAfter } from "./errors.js";
+import { log, getRequestContext } from "./logger.js";
+import { counter, histogram, gauge } from "./metrics.js";
+import { recordUpstream } from "./stats.js";
+
+// Token buckets for Jikan's per-second and per-minute limits
+function createBucket(capacity, interval) {
+  return {
+    capacity,
+    tokens: capacity,
+    refillRate: capacity / interval, // tokens per millisecond
+    lastRefill: Date.now()
+  };
+}
+
+function refill(bucket, now) {
+  const elapsed = now - bucket.lastRefill;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillRate);
+  bucket.lastRefill = now;
+}
+
+const buckets = [
+  createBucket(MAX_REQUESTS_PER_SECOND, 1000),
+  createBucket(MAX_REQUESTS_PER_MINUTE, 60 * 1000)
+];
+
+const waiters = [];
+let wakeTimer = null;
+// Set from Retry-After when Jikan answers 429
+let pausedUntil = 0;
+
+const limiterStats = {
+  acquired: 0,
+  rejected: 0,
+  throttled: 0, // 429 responses from Jikan
+  retries: 0,
+  totalWait: 0,
+  maxWait: 0
+};
+
+const upstreamRequests = counter(
+  "jikan_proxy_upstream_requests_total",
+  "Requests sent to Jikan by endpoint and response status, timeout or error",
+  ["endpoint", "status"]
+);
+const upstreamDuration = histogram(
+  "jikan_proxy_upstream_duration_seconds",
+  "Time until Jikan's response headers arrived, not counting the rate limit queue",
+  ["endpoint"],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+gauge("jikan_proxy_upstream_queue_length", "Upstream requests waiting for a rate limit slot", () => waiters.length);
+
+// Milliseconds until every bucket has a token and no backoff is active
+function msUntilAvailable(now) {
+  let wait = Math.max(0, pausedUntil - now);
+  for (const bucket of buckets) {
+    refill(bucket, now);
+    if (bucket.tokens < 1) {
+      wait = Math.max(wait, (1 - bucket.tokens) / bucket.refillRate);
+    }
+  }
+  return wait;
+}
+
+function drain() {
+  wakeTimer = null;
+
+  while (waiters.length > 0) {
+    const now = Date.now();
+    const wait = msUntilAvailable(now);
+    if (wait > 0) {
+      wakeTimer = setTimeout(drain, Math.ceil(wait));
+      return;
+    }
+
+    for (const bucket of buckets) {
+      bucket.tokens -= 1;
+    }
+
+    // Live traffic goes before background work such as cache warming
+    const index = waiters.findIndex(waiter => !waiter.background);
+    const [waiter] = waiters.splice(index === -1 ? 0 : index, 1);
+    clearTimeout(waiter.timer);
+
+    const waited = now - waiter.enqueuedAt;
+    limiterStats.acquired++;
+    limiterStats.totalWait += waited;
+    limiterStats.maxWait = Math.max(limiterStats.maxWait, waited);
+
+    waiter.resolve();
+  }
+}
+
+// Resolves once an upstream request may be sent
+function acquire(background) {
+  return new Promise((resolve, reject) => {
+    if (waiters.length >= MAX_QUEUE_LENGTH) {
+      limiterStats.rejected++;
+      reject(new ProxyError(503, "queue_full", "Too many requests are waiting for Jikan, try again shortly", { retryAfter: 1 }));
+      return;
+    }
+
+    const waiter = { resolve, reject, background, enqueuedAt: Date.now() };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      limiterStats.rejected++;
+      reject(new ProxyError(503, "queue_timeout", `Timed out after ${QUEUE_TIMEOUT}ms waiting for the upstream rate limit`, {
+        retryAfter: 1
+      }));
+    }, QUEUE_TIMEOUT);
+
+    waiters.push(waiter);
+    if (!wakeTimer) drain();
+  });
+}
+
+// Jikan's top-level resource, such as anime or schedules, keeps label values bounded
+function upstreamEndpoint(url) {
+  return url.slice(BASE_URL.length).split(/[/?]/)[1] || "root";
+}
+
+// fetch() that records the request and its latency
+async function timedFetch(url, timeout) {
+  const labels = { endpoint: upstreamEndpoint(url) };
+  const startTime = performance.now();
+  let status = "error";
+  try {
+    const response = await fetch(url, timeout ? { signal: AbortSignal.timeout(timeout) } : undefined);
+    status = response.status;
+    return response;
+  } catch (error) {
+    if (error.name === "TimeoutError") status = "timeout";
+    throw error;
+  } finally {
+    const duration = performance.now() - startTime;
+    upstreamRequests.inc({ ...labels, status });
+    upstreamDuration.observe(labels, duration / 1000);
+    recordUpstream(status, duration);
+
+    const context = getRequestContext();
+    if (context) {
+      context.upstreamStatus = status;
+      context.upstreamLatency = Number(duration.toFixed(2));
+    }
+  }
+}
+
+// fetch() gated by the rate limiter, retrying 429s after Retry-After.
+// Background requests only get a slot when no live request is waiting.
+// `timeout` starts once the slot is granted, waiting in the queue has its own limit.
+export async function limitedFetch(url, { background = false, timeout } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire(background);
+    const response = await timedFetch(url, timeout);
+
+    if (response.status !== 429) return response;
+
+    limiterStats.throttled++;
+    const delay = parseRetryAfter(response.headers.get("retry-after")) ?? 1000 * 2 ** attempt;
+
+    // Hold back every upstream request, not just this one
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+
+    if (attempt >= MAX_RATE_LIMIT_RETRIES) return response;
+
+    limiterStats.retries++;
+    log(`Rate limited by Jikan, retrying ${url} in ${delay}ms`, "warn");
+    await response.body?.cancel();
+  }
+}
+
+export function getLimiterStats() {
+  return {
+    queueLength: waiters.length,
+    acquired: limiterStats.acquired,
+    rejected: limiterStats.rejected,
+    throttled: limiterStats.throttled,
+    retries: limiterStats.retries,
+    averageWait: limiterStats.acquired > 0
+      ? (limiterStats.totalWait / limiterStats.acquired).toFixed(2) + "ms"
+      : "0ms",
+    maxWait: limiterStats.maxWait + "ms",
+    pausedFor: Math.max(0, pausedUntil - Date.now()) + "ms"
+  };
+}
@@ -0,0 +1,144 @@
+import { mkdirSync } from "node:fs";
+import { appendFile, readdir, stat, unlink } from "node:fs/promises";
+import { join } from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { LOG_LEVEL, LOG_MAX_FILE_SIZE, LOG_RETENTION_DAYS, LOG_FLUSH_INTERVAL } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const BUFFER_MAX_BYTES = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of the request being handled, such as requestId and endpoint, added to every
+// line logged while it runs. Code further down can add to them, e.g. the upstream status.
+const requestContext = new AsyncLocalStorage();
+
+// File logging is opt-in: serverless deployments only log to the console
+let logsDir = null;
+let buffer = [];
+let bufferedBytes = 0;
+let flushTimer = null;
+let writing = Promise.resolve();
+
+// The file lines are appended to: `<day>.log`, then `<day>.1.log`, `<day>.2.log`... once it is full
+const current = { day: null, index: 0, size: 0 };
+
+export function enableFileLogging(dir) {
+  mkdirSync(dir, { recursive: true });
+  logsDir = dir;
+}
+
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getRequestContext() {
+  return requestContext.getStore();
+}
+
+function fileName(day, index) {
+  return join(logsDir, index > 0 ? `${day}.${index}.log` : `${day}.log`);
+}
+
+async function fileSize(file) {
+  try {
+    return (await stat(file)).size;
+  } catch {
+    return 0;
+  }
+}
+
+// Delete log files from days past the retention period
+async function pruneLogs(today) {
+  if (LOG_RETENTION_DAYS === 0) return;
+
+  const cutoff = Date.parse(today) - LOG_RETENTION_DAYS * DAY_MS;
+  for (const name of await readdir(logsDir)) {
+    const day = name.match(/^(\d{4}-\d{2}-\d{2})(?:\.\d+)?\.log$/)?.[1];
+    if (day && Date.parse(day) < cutoff) {
+      await unlink(join(logsDir, name));
+    }
+  }
+}
+
+async function writeLines(text) {
+  const today = new Date().toISOString().split("T")[0];
+
+  // A new day, or the first write: continue the newest file of the day
+  if (current.day !== today) {
+    const indexes = (await readdir(logsDir))
+      .map(name => name.match(new RegExp(`^${today}(?:\\.(\\d+))?\\.log$`)))
+      .filter(Boolean)
+      .map(match => Number(match[1] || 0));
+    current.day = today;
+    current.index = Math.max(0, ...indexes);
+    current.size = await fileSize(fileName(today, current.index));
+    await pruneLogs(today);
+  }
+
+  const bytes = Buffer.byteLength(text);
+  if (current.size > 0 && current.size + bytes > LOG_MAX_FILE_SIZE) {
+    current.index++;
+    current.size = 0;
+  }
+
+  await appendFile(fileName(today, current.index), text);
+  current.size += bytes;
+}
+
+// Write buffered lines to the log file, resolves once they are on disk
+export function flushLogs() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (buffer.length === 0) return writing;
+
+  const text = buffer.join("");
+  buffer = [];
+  bufferedBytes = 0;
+
+  writing = writing
+    .then(() => writeLines(text))
+    .catch(err => console.error(JSON.stringify({
+      time: new Date().toISOString(),
+      level: "error",
+      message: `Error writing to log file: ${err.message}`
+    })));
+  return writing;
+}
+
+function bufferLine(line) {
+  buffer.push(line);
+  bufferedBytes += line.length;
+
+  if (bufferedBytes >= BUFFER_MAX_BYTES) {
+    flushLogs();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushLogs, LOG_FLUSH_INTERVAL);
+    // Pending lines don't keep the process alive, shutdown flushes them
+    flushTimer.unref?.();
+  }
+}
+
+// One JSON line per call, with the current request's context and any extra fields
+export function log(message, level = "info", fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...requestContext.getStore(),
+    ...fields
+  });
+
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+
+  if (logsDir) {
+    bufferLine(line + "\n");
+  }
+}
@@ -0,0 +1,105 @@
+// Prometheus text format exporter. Modules define their own metrics here and
+// /metrics renders all of them. Gauges are read when scraped.
+
+import { log } from "./logger.js";
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ""));
+}
+
+function pick(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ""]));
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "counter",
+    lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const item = series.get(key) || { labels: pick(labelNames, labels), value: 0 };
+      item.value += amount;
+      series.set(key, item);
+    }
+  };
+}
+
+// Seconds-based latency histogram
+export function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "histogram",
+    lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let item = series.get(key);
+      if (!item) {
+        item = { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, item);
+      }
+      // Buckets are cumulative, every bound at or above the value counts it
+      buckets.forEach((bound, index) => {
+        if (value <= bound) item.counts[index]++;
+      });
+      item.sum += value;
+      item.count++;
+    }
+  };
+}
+
+// `collect` returns a number, or a list of `{ labels, value }`, when /metrics is scraped.
+// `type` is "counter" for totals kept elsewhere, such as evictions. A gauge that can't be
+// read, such as a persistent store that is down, is left out of that scrape.
+export function gauge(name, help, collect, type = "gauge") {
+  registry.push({
+    name,
+    help,
+    type,
+    lines: async () => {
+      let value;
+      try {
+        value = await collect();
+      } catch (error) {
+        log(`Error reading metric ${name}: ${error.message}`, "warn");
+        return [];
+      }
+      const samples = typeof value === "number" ? [{ labels: {}, value }] : value;
+      return samples.map(sample => `${name}${formatLabels(sample.labels || {})} ${sample.value}`);
+    }
+  });
+}
+
+export async function renderMetrics() {
+  const output = [];
+  for (const { name, help, type, lines } of registry) {
+    output.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...await lines());
+  }
+  return `${output.join("\n")}\n`;
+}
@@ -0,0 +1,103 @@
+import { createHash } from "node:crypto";
+import { MAX_AGGREGATE_PAGES } from "./config.js";
+import { handlersWithStats } from "./handlers.js";
+import { acceptsParam } from "./routes.js";
+import { param } from "./validation.js";
+
+// Several pages of a listing merged into one response. Pages are fetched one after another
+// through the handler, so each is cached under its own key and misses queue politely.
+
+// Take `all` and `pages` out of `params` so they never reach Jikan or the cache key.
+// Returns `{ range, errors }`, range is `{ first, last, all }` or null when neither is given.
+export function takePageRange(endpoint, params) {
+  const all = params.get("all");
+  const pages = params.get("pages");
+  params.delete("all");
+  params.delete("pages");
+
+  if (all === null && pages === null) return { range: null, errors: [] };
+
+  const errors = [];
+  const field = pages !== null ? "pages" : "all";
+  if (all !== null && pages !== null) {
+    errors.push({ field: "pages", value: pages, message: "use either all or pages" });
+  } else if (!acceptsParam(endpoint, params, "page")) {
+    errors.push({ field, value: pages ?? all, message: `${endpoint} is not paginated` });
+  }
+  if (errors.length > 0) return { range: null, errors };
+
+  if (all !== null) {
+    const message = param.boolean()(all);
+    if (message) return { range: null, errors: [{ field, value: all, message }] };
+    if (all === "false") return { range: null, errors: [] };
+
+    // Start from ?page= when given, a bad page is reported by the route's own validation
+    const first = Number(params.get("page")) || 1;
+    return { range: { first, last: first + MAX_AGGREGATE_PAGES - 1, all: true }, errors: [] };
+  }
+
+  const match = pages.match(/^(\d+)(?:-(\d+))?$/);
+  const first = match ? Number(match[1]) : 0;
+  const last = match ? Number(match[2] ?? match[1]) : 0;
+  if (first < 1 || last < first) {
+    return { range: null, errors: [{ field, value: pages, message: "expected a page range such as 1-5" }] };
+  }
+  if (last - first + 1 > MAX_AGGREGATE_PAGES) {
+    return { range: null, errors: [{ field, value: pages, message: `at most ${MAX_AGGREGATE_PAGES} pages at once` }] };
+  }
+  if (params.has("page")) {
+    return { range: null, errors: [{ field: "page", value: params.get("page"), message: "use either page or pages" }] };
+  }
+  return { range: { first, last, all: false }, errors: [] };
+}
+
+// How the merged response was served: a miss if any page was, otherwise the stalest hit
+function combinedStatus(pages) {
+  const statuses = pages.map(page => page.status);
+  if (statuses.includes("miss") || statuses.includes("coalesced")) return "miss";
+  return ["stale-if-error", "stale", "hit"].find(status => statuses.includes(status));
+}
+
+// Fetch pages `first` to `last`, stopping after the last page Jikan has. Resolves to what a
+// handler resolves to, its freshness is that of the oldest page and the data has the pages'
+// `data` arrays merged with a pagination summary.
+export async function fetchPages(endpoint, params, { first, last, all }) {
+  const pages = [];
+  for (let page = first; page <= last; page++) {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set("page", String(page));
+    const result = await handlersWithStats[endpoint](pageParams);
+    pages.push(result);
+    if (!result.data?.pagination?.has_next_page) break;
+  }
+
+  const lastFetched = first + pages.length - 1;
+  const { pagination = {} } = pages[pages.length - 1].data;
+  const data = pages.flatMap(page => page.data.data || []);
+  const timestamp = Math.min(...pages.map(page => page.timestamp));
+  const latencies = pages.map(page => page.latency).filter(latency => latency != null);
+
+  return {
+    // all=true and pages= differ in `truncated`, so they never share an encoded body
+    key: `${pages[0].key}_${all ? "all" : "pages"}_${first}-${lastFetched}`,
+    data: {
+      pagination: {
+        first_page: first,
+        last_page: lastFetched,
+        pages_fetched: pages.length,
+        last_visible_page: pagination.last_visible_page ?? null,
+        has_next_page: pagination.has_next_page ?? false,
+        // all=true stopped at MAX_AGGREGATE_PAGES before the listing ended
+        truncated: all && Boolean(pagination.has_next_page),
+        items: { count: data.length, total: pagination.items?.total ?? null }
+      },
+      data
+    },
+    status: combinedStatus(pages),
+    stale: pages.some(page => page.stale),
+    timestamp,
+    duration: Math.min(...pages.map(page => page.timestamp + page.duration)) - timestamp,
+    latency: latencies.length > 0 ? latencies.reduce((sum, latency) => sum + latency, 0) : null,
+    etag: `"${createHash("sha1").update(pages.map(page => page.etag).join(",")).digest("base64url")}"`
+  };
+}
@@ -0,0 +1,558 @@
+import { createHash } from "node:crypto";
+import { param, validateParams } from "./validation.js";
+
+// Route table for every Jikan path the proxy serves. Handlers, parameter
+// validation and the home page listing are all generated from it.
+//
+// Each route has:
+// - `endpoint`: the proxy endpoint, /api/<endpoint>
+// - `resource`: selects a sub-resource with ?resource=, such as episodes
+// - `path`: the Jikan path, {name} placeholders are filled from the parameters.
+//   The same path under /api is accepted as an alternative to the query string.
+// - `key`: the cache key, {name} placeholders are filled the same way
+// - `ttl`: the TTL setting the entry is cached for, `cache: false` skips the cache
+// - `params`: the accepted parameters, the ones not in `path` are sent to Jikan as a query
+// - `defaults`, `match`, `strict`, `check`: default values, required values,
+//   rejecting unknown parameters and cross-field checks
+// - `search`: the query is normalized and hashed into the cache key, see normalizeSearch
+//
+// Routes of the same endpoint and resource are tried in order, the first one
+// whose path placeholders and `match` values are all given is used.
+
+const id = param.integer();
+const page = param.integer({ min: 1, max: 10000 });
+const limit = param.integer({ min: 1, max: 25 });
+const sort = param.oneOf(["asc", "desc"]);
+const mediaType = param.oneOf(["anime", "manga"]);
+const username = param.username();
+
+const searchParams = {
+  q: param.string(),
+  page,
+  limit,
+  sort,
+  letter: param.letter()
+};
+
+const animeSearch = {
+  ...searchParams,
+  type: param.oneOf(["tv", "movie", "ova", "special", "ona", "music", "cm", "pv", "tv_special"]),
+  score: param.number({ min: 0, max: 10 }),
+  min_score: param.number({ min: 0, max: 10 }),
+  max_score: param.number({ min: 0, max: 10 }),
+  status: param.oneOf(["airing", "complete", "upcoming"]),
+  rating: param.oneOf(["g", "pg", "pg13", "r17", "r", "rx"]),
+  sfw: param.boolean(),
+  unapproved: param.boolean(),
+  genres: param.idList(),
+  genres_exclude: param.idList(),
+  producers: param.idList(),
+  order_by: param.oneOf([
+    "mal_id", "title", "start_date", "end_date", "episodes", "score",
+    "scored_by", "rank", "popularity", "members", "favorites"
+  ]),
+  start_date: param.date(),
+  end_date: param.date()
+};
+
+const mangaSearch = {
+  ...searchParams,
+  type: param.oneOf(["manga", "novel", "lightnovel", "oneshot", "doujin", "manhwa", "manhua"]),
+  score: param.number({ min: 0, max: 10 }),
+  min_score: param.number({ min: 0, max: 10 }),
+  max_score: param.number({ min: 0, max: 10 }),
+  status: param.oneOf(["publishing", "complete", "hiatus", "discontinued", "upcoming"]),
+  sfw: param.boolean(),
+  unapproved: param.boolean(),
+  genres: param.idList(),
+  genres_exclude: param.idList(),
+  magazines: param.idList(),
+  order_by: param.oneOf([
+    "mal_id", "title", "start_date", "end_date", "chapters", "volumes", "score",
+    "scored_by", "rank", "popularity", "members", "favorites"
+  ]),
+  start_date: param.date(),
+  end_date: param.date()
+};
+
+const reviewFilters = {
+  page,
+  preliminary: param.boolean(),
+  spoilers: param.boolean()
+};
+
+// Canonical forms of search values, so equivalent searches share one cache entry
+const canonicalNumber = value => String(Number(value));
+const canonicalIds = value => [...new Set(value.split(",").map(Number))].sort((a, b) => a - b).join(",");
+
+const canonical = {
+  q: value => value.trim().replace(/\s+/g, " ").toLowerCase(),
+  letter: value => value.toLowerCase(),
+  page: canonicalNumber,
+  limit: canonicalNumber,
+  score: canonicalNumber,
+  min_score: canonicalNumber,
+  max_score: canonicalNumber,
+  genres: canonicalIds,
+  genres_exclude: canonicalIds,
+  producers: canonicalIds,
+  magazines: canonicalIds
+};
+
+// What Jikan uses when a search parameter is left out
+const searchDefaults = { page: "1", limit: "25" };
+
+const topFilters = {
+  anime: ["airing", "upcoming", "bypopularity", "favorite"],
+  manga: ["publishing", "upcoming", "bypopularity", "favorite"]
+};
+
+// Sub-resources of a single entity such as /anime/{id}/episodes,
+// cached under the entity's key followed by the resource name
+function subResources(endpoint, base, key, params, resources) {
+  return Object.entries(resources).map(([resource, { ttl, params: extra = {}, description }]) => ({
+    endpoint,
+    resource,
+    path: `${base}/${resource}`,
+    key: `${key}_${resource.replace(/\//g, "_")}`,
+    ttl,
+    params: { ...params, ...extra },
+    description
+  }));
+}
+
+export const routes = [
+  // Anime
+  { endpoint: "anime", path: "/anime/{id}", key: "anime_{id}", ttl: "anime", params: { id }, description: "Get an anime by ID" },
+  { endpoint: "anime", path: "/anime", key: "anime_search", ttl: "anime_search", params: animeSearch, strict: true, search: true, description: "Search anime" },
+  {
+    endpoint: "anime",
+    resource: "episodes",
+    path: "/anime/{id}/episodes/{episode}",
+    key: "anime_{id}_episodes_{episode}",
+    ttl: "anime_episodes",
+    params: { id, episode: id },
+    description: "A single episode of an anime"
+  },
+  ...subResources("anime", "/anime/{id}", "anime_{id}", { id }, {
+    full: { ttl: "anime_details", description: "Full anime details" },
+    characters: { ttl: "anime_details", description: "Characters of an anime" },
+    staff: { ttl: "anime_details", description: "Staff of an anime" },
+    episodes: { ttl: "anime_episodes", params: { page }, description: "Episodes of an anime" },
+    news: { ttl: "anime_community", params: { page }, description: "News about an anime" },
+    videos: { ttl: "anime_episodes", description: "Promos, episode and music videos of an anime" },
+    "videos/episodes": { ttl: "anime_episodes", params: { page }, description: "Episode videos of an anime" },
+    pictures: { ttl: "anime_details", description: "Pictures of an anime" },
+    statistics: { ttl: "anime_community", description: "Watching, completed and score statistics of an anime" },
+    moreinfo: { ttl: "anime_details", description: "Additional information about an anime" },
+    recommendations: { ttl: "anime_community", description: "Recommendations based on an anime" },
+    userupdates: { ttl: "anime_community", params: { page }, description: "Recent list updates for an anime" },
+    reviews: { ttl: "anime_community", params: reviewFilters, description: "Reviews of an anime" },
+    relations: { ttl: "anime_details", description: "Related anime and manga" },
+    themes: { ttl: "anime_details", description: "Opening and ending themes of an anime" },
+    external: { ttl: "anime_details", description: "External links of an anime" },
+    streaming: { ttl: "anime_details", description: "Streaming links of an anime" }
+  }),
+
+  // Manga
+  { endpoint: "manga", path: "/manga/{id}", key: "manga_{id}", ttl: "manga", params: { id }, description: "Get a manga by ID" },
+  { endpoint: "manga", path: "/manga", key: "manga_search", ttl: "manga_search", params: mangaSearch, strict: true, search: true, description: "Search manga" },
+  ...subResources("manga", "/manga/{id}", "manga_{id}", { id }, {
+    full: { ttl: "manga_details", description: "Full manga details" },
+    characters: { ttl: "manga_details", description: "Characters of a manga" },
+    news: { ttl: "manga_community", params: { page }, description: "News about a manga" },
+    pictures: { ttl: "manga_details", description: "Pictures of a manga" },
+    statistics: { ttl: "manga_community", description: "Reading, completed and score statistics of a manga" },
+    moreinfo: { ttl: "manga_details", description: "Additional information about a manga" },
+    recommendations: { ttl: "manga_community", description: "Recommendations based on a manga" },
+    userupdates: { ttl: "manga_community", params: { page }, description: "Recent list updates for a manga" },
+    reviews: { ttl: "manga_community", params: reviewFilters, description: "Reviews of a manga" },
+    relations: { ttl: "manga_details", description: "Related anime and manga" },
+    external: { ttl: "manga_details", description: "External links of a manga" }
+  }),
+
+  // Seasons
+  {
+    endpoint: "seasons",
+    path: "/seasons/{year}/{season}",
+    key: "season_{year}_{season}_{page}",
+    ttl: "season",
+    params: {
+      year: param.integer({ min: 1917, max: new Date().getFullYear() + 1 }),
+      season: param.oneOf(["winter", "spring", "summer", "fall"]),
+      page
+    },
+    defaults: { page: "1" },
+    check(params) {
+      const year = params.get("year");
+      const season = params.get("season");
+      if (!year !== !season) {
+        return [{ field: year ? "season" : "year", message: "year and season must be given together" }];
+      }
+      return [];
+    },
+    description: "Get anime of a season"
+  },
+  { endpoint: "seasons", path: "/seasons/now", key: "season_now_{page}", ttl: "season_now", params: { now: param.boolean(), page }, match: { now: "true" }, defaults: { page: "1" }, description: "Get current season anime" },
+  { endpoint: "seasons", path: "/seasons", key: "seasons_list", ttl: "seasons_list", params: {}, description: "List the available seasons" },
+  { endpoint: "seasons", resource: "now", path: "/seasons/now", key: "season_now_{page}", ttl: "season_now", params: { page }, defaults: { page: "1" }, description: "Get current season anime" },
+  { endpoint: "seasons", resource: "upcoming", path: "/seasons/upcoming", key: "season_upcoming_{page}", ttl: "season_now", params: { page }, defaults: { page: "1" }, description: "Get upcoming season anime" },
+
+  // Top
+  {
+    endpoint: "top",
+    path: "/top/{type}/{filter}",
+    key: "top_{type}_{filter}_{page}",
+    ttl: "top",
+    params: {
+      type: param.oneOf(["anime", "manga", "characters", "people", "reviews"]),
+      filter: param.oneOf([...new Set(Object.values(topFilters).flat())]),
+      page
+    },
+    defaults: { type: "anime", page: "1" },
+    check(params) {
+      const type = params.get("type") || "anime";
+      const filter = params.get("filter");
+      if (filter && !(topFilters[type] || []).includes(filter)) {
+        const allowed = topFilters[type];
+        return [{
+          field: "filter",
+          value: filter,
+          message: allowed ? `expected one of ${allowed.join(", ")} for type ${type}` : `type ${type} has no filters`
+        }];
+      }
+      return [];
+    },
+    description: "Get top anime/manga filtered with ?filter=airing|upcoming|bypopularity|favorite"
+  },
+  {
+    endpoint: "top",
+    path: "/top/{type}",
+    key: "top_{type}_{page}",
+    ttl: "top",
+    params: { type: param.oneOf(["anime", "manga", "characters", "people", "reviews"]), page },
+    defaults: { type: "anime", page: "1" },
+    description: "Get top anime/manga/characters/people/reviews"
+  },
+
+  // Schedule
+  {
+    endpoint: "schedule",
+    path: "/schedules/{day}",
+    key: "schedule_{day}",
+    ttl: "schedule",
+    params: {
+      day: param.oneOf(["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday", "other", "unknown"])
+    },
+    description: "Get the anime schedule of a day"
+  },
+  { endpoint: "schedule", path: "/schedules", key: "schedule_all", ttl: "schedule", params: {}, description: "Get the anime schedule of the week" },
+
+  // Genres
+  { endpoint: "genres", path: "/genres/{type}", key: "genres_{type}", ttl: "genres", params: { type: mediaType }, defaults: { type: "anime" }, description: "Get anime or manga genres" },
+
+  // Characters
+  { endpoint: "characters", path: "/characters/{id}", key: "character_{id}", ttl: "character", params: { id }, description: "Get a character by ID" },
+  {
+    endpoint: "characters",
+    path: "/characters",
+    key: "characters_search",
+    ttl: "characters_search",
+    params: { ...searchParams, order_by: param.oneOf(["mal_id", "name", "favorites"]) },
+    strict: true,
+    search: true,
+    description: "Search characters"
+  },
+  ...subResources("characters", "/characters/{id}", "character_{id}", { id }, {
+    full: { ttl: "character_details", description: "Full character details" },
+    anime: { ttl: "character_details", description: "Anime a character appears in" },
+    manga: { ttl: "character_details", description: "Manga a character appears in" },
+    voices: { ttl: "character_details", description: "Voice actors of a character" },
+    pictures: { ttl: "character_details", description: "Pictures of a character" }
+  }),
+
+  // People
+  { endpoint: "people", path: "/people/{id}", key: "person_{id}", ttl: "person", params: { id }, description: "Get a person by ID" },
+  {
+    endpoint: "people",
+    path: "/people",
+    key: "people_search",
+    ttl: "people_search",
+    params: { ...searchParams, order_by: param.oneOf(["mal_id", "name", "birthday", "favorites"]) },
+    strict: true,
+    search: true,
+    description: "Search people"
+  },
+  ...subResources("people", "/people/{id}", "person_{id}", { id }, {
+    full: { ttl: "person_details", description: "Full person details" },
+    anime: { ttl: "person_details", description: "Anime staff positions of a person" },
+    voices: { ttl: "person_details", description: "Voice acting roles of a person" },
+    manga: { ttl: "person_details", description: "Manga a person worked on" },
+    pictures: { ttl: "person_details", description: "Pictures of a person" }
+  }),
+
+  // Random, always fetched fresh
+  {
+    endpoint: "random",
+    path: "/random/{type}",
+    cache: false,
+    params: { type: param.oneOf(["anime", "manga", "characters", "people", "users"]) },
+    defaults: { type: "anime" },
+    description: "Get a random anime/manga/character/person/user"
+  },
+
+  // Reviews and recommendations
+  { endpoint: "reviews", path: "/reviews/{type}", key: "reviews_{type}_{page}", ttl: "reviews", params: { type: mediaType, page }, defaults: { type: "anime", page: "1" }, description: "Get recent anime or manga reviews" },
+  { endpoint: "recommendations", path: "/recommendations/{type}", key: "recommendations_{type}_{page}", ttl: "recommendations", params: { type: mediaType, page }, defaults: { type: "anime", page: "1" }, description: "Get recent anime or manga recommendations" },
+
+  // Studios
+  { endpoint: "studios", path: "/studios/{id}", key: "studio_{id}", ttl: "studio", params: { id }, description: "Get a studio by ID" },
+  { endpoint: "studios", path: "/studios", key: "studios_list", ttl: "studios_list", params: {}, description: "List studios" },
+
+  // Producers
+  { endpoint: "producers", path: "/producers/{id}", key: "producer_{id}", ttl: "producer", params: { id }, description: "Get a producer by ID" },
+  {
+    endpoint: "producers",
+    path: "/producers",
+    key: "producers_search",
+    ttl: "producers_search",
+    params: { ...searchParams, order_by: param.oneOf(["mal_id", "count", "favorites", "established"]) },
+    strict: true,
+    search: true,
+    description: "Search producers"
+  },
+  ...subResources("producers", "/producers/{id}", "producer_{id}", { id }, {
+    full: { ttl: "producer", description: "Full producer details" },
+    external: { ttl: "producer", description: "External links of a producer" }
+  }),
+
+  // Magazines
+  {
+    endpoint: "magazines",
+    path: "/magazines",
+    key: "magazines",
+    ttl: "magazines",
+    params: { ...searchParams, order_by: param.oneOf(["mal_id", "name", "count"]) },
+    strict: true,
+    search: true,
+    description: "Search manga magazines"
+  },
+
+  // Clubs
+  { endpoint: "clubs", path: "/clubs/{id}", key: "club_{id}", ttl: "club", params: { id }, description: "Get a club by ID" },
+  {
+    endpoint: "clubs",
+    path: "/clubs",
+    key: "clubs_search",
+    ttl: "clubs_search",
+    params: {
+      ...searchParams,
+      type: param.oneOf(["public", "private", "secret"]),
+      category: param.oneOf([
+        "anime", "manga", "actors_and_artists", "characters", "cities_and_neighborhoods", "companies",
+        "conventions", "games", "japan", "music", "other", "schools"
+      ]),
+      order_by: param.oneOf(["mal_id", "name", "members_count", "created"])
+    },
+    strict: true,
+    search: true,
+    description: "Search clubs"
+  },
+  ...subResources("clubs", "/clubs/{id}", "club_{id}", { id }, {
+    members: { ttl: "club", params: { page }, description: "Members of a club" },
+    staff: { ttl: "club", description: "Staff of a club" },
+    relations: { ttl: "club", description: "Anime, manga and characters related to a club" }
+  }),
+
+  // Users
+  { endpoint: "users", path: "/users/{username}", key: "user_{username}", ttl: "user", params: { username }, description: "Get a user profile by username" },
+  ...subResources("users", "/users/{username}", "user_{username}", { username }, {
+    full: { ttl: "user", description: "Full user profile" },
+    statistics: { ttl: "user", description: "Anime and manga statistics of a user" },
+    favorites: { ttl: "user", description: "Favorites of a user" },
+    userupdates: { ttl: "user", description: "Recent list updates of a user" },
+    about: { ttl: "user", description: "About section of a user" },
+    history: { ttl: "user", params: { type: mediaType }, description: "Recent history of a user" },
+    friends: { ttl: "user", params: { page }, description: "Friends of a user" },
+    reviews: { ttl: "user", params: { page }, description: "Reviews written by a user" },
+    recommendations: { ttl: "user", params: { page }, description: "Recommendations made by a user" },
+    clubs: { ttl: "user", params: { page }, description: "Clubs a user belongs to" },
+    external: { ttl: "user", description: "External links of a user" }
+  }),
+
+  // Watch
+  { endpoint: "watch", resource: "episodes", path: "/watch/episodes", key: "watch_episodes", ttl: "watch", params: {}, description: "Recently released episodes" },
+  { endpoint: "watch", resource: "episodes/popular", path: "/watch/episodes/popular", key: "watch_episodes_popular", ttl: "watch", params: {}, description: "Popular episodes" },
+  { endpoint: "watch", resource: "promos", path: "/watch/promos", key: "watch_promos", ttl: "watch", params: { page }, description: "Recently added promotional videos" },
+  { endpoint: "watch", resource: "promos/popular", path: "/watch/promos/popular", key: "watch_promos_popular", ttl: "watch", params: {}, description: "Popular promotional videos" }
+];
+
+export const endpoints = [...new Set(routes.map(route => route.endpoint))];
+
+function placeholders(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+function fill(template, values, encode = value => value) {
+  return template.replace(/\{(\w+)\}/g, (_, name) => encode(values[name]));
+}
+
+// Cache keys join their parts with "_", which usernames may contain too, so values escape
+// it: "user_{username}_full" for foo is user_foo_full, while foo_full alone is user_foo%5Ffull
+function keyPart(value) {
+  return value.replace(/[%_]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function routesFor(endpoint, resource) {
+  return routes.filter(route => route.endpoint === endpoint && (route.resource || "") === resource);
+}
+
+// A parameter's value, falling back to the route's default
+function valueOf(route, params, name) {
+  return params.get(name) || route.defaults?.[name] || "";
+}
+
+function matches(route, params) {
+  return placeholders(route.path).every(name => valueOf(route, params, name)) &&
+    Object.entries(route.match || {}).every(([name, value]) => params.get(name) === value);
+}
+
+// Validate the parameters of a request against the routes it can resolve to.
+// Returns a list of `{ field, value, message }`, empty when the request can be served.
+export function validateRoute(endpoint, params) {
+  const resource = params.get("resource") || "";
+  const candidates = routesFor(endpoint, resource);
+
+  if (candidates.length === 0) {
+    const resources = routes
+      .filter(route => route.endpoint === endpoint && route.resource)
+      .map(route => route.resource);
+    const expected = resources.length > 0 ? `expected one of ${[...new Set(resources)].join(", ")}` : `${endpoint} has no sub-resources`;
+    return [resource ? { field: "resource", value: resource, message: expected } : { field: "resource", message: `required, ${expected}` }];
+  }
+
+  const checks = candidates.filter(route => route.check);
+  const schema = {
+    params: Object.assign({ resource: () => null }, ...candidates.map(route => route.params)),
+    strict: candidates.some(route => route.strict),
+    check: params => checks.flatMap(route => route.check(params))
+  };
+
+  const errors = validateParams(schema, params);
+  if (errors.length > 0 || candidates.some(route => matches(route, params))) {
+    return errors;
+  }
+
+  // Nothing matched, report what the least specific route is missing
+  const fallback = candidates[candidates.length - 1];
+  return placeholders(fallback.path)
+    .filter(name => !valueOf(fallback, params, name))
+    .map(name => ({ field: name, message: "required" }));
+}
+
+// Search parameters in a canonical order and form: sorted by name, values canonicalized,
+// and empty values or Jikan's defaults dropped
+function normalizeSearch(route, params) {
+  const query = new URLSearchParams();
+  for (const name of Object.keys(route.params).sort()) {
+    const value = params.get(name);
+    if (!value) continue;
+
+    const normalized = canonical[name] ? canonical[name](value) : value;
+    if (normalized && normalized !== searchDefaults[name]) {
+      query.append(name, normalized);
+    }
+  }
+  return query;
+}
+
+// Short stable digest of a search query, keeps cache keys and store file names bounded
+function digest(text) {
+  return createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+// Whether the route a request resolves to takes parameter `name`
+export function acceptsParam(endpoint, params, name) {
+  const route = routesFor(endpoint, params.get("resource") || "").find(route => matches(route, params));
+  return Boolean(route && name in route.params);
+}
+
+// Resolve a validated request to its route, the Jikan path with its query, and the cache key
+export function resolveRoute(endpoint, params) {
+  const route = routesFor(endpoint, params.get("resource") || "").find(route => matches(route, params));
+  const inPath = placeholders(route.path);
+  const values = {};
+  for (const name of Object.keys(route.params)) {
+    values[name] = valueOf(route, params, name);
+  }
+
+  if (route.search) {
+    const search = normalizeSearch(route, params).toString();
+    return {
+      route,
+      path: fill(route.path, values, encodeURIComponent) + (search ? `?${search}` : ""),
+      key: fill(route.key, values, keyPart) + (search ? `_${digest(search)}` : "")
+    };
+  }
+
+  // Everything that is not part of the path goes to Jikan as a query, in request order
+  const query = new URLSearchParams();
+  for (const [name, value] of params.entries()) {
+    if (name in route.params && !inPath.includes(name) && !route.match?.[name] && value) {
+      query.append(name, value);
+    }
+  }
+  for (const [name, value] of Object.entries(route.defaults || {})) {
+    if (!inPath.includes(name) && !query.has(name)) query.append(name, value);
+  }
+
+  const search = query.toString();
+  const path = fill(route.path, values, encodeURIComponent) + (search ? `?${search}` : "");
+  if (route.cache === false) {
+    return { route, path };
+  }
+
+  // Query parameters missing from the key template are appended to the key
+  const inKey = placeholders(route.key);
+  const extra = new URLSearchParams([...query].filter(([name]) => !inKey.includes(name))).toString();
+  const key = fill(route.key, values, keyPart) + (extra ? `_${extra}` : "");
+
+  return { route, path, key };
+}
+
+// Match a Jikan-style path such as ["anime", "5", "episodes"] against the route table.
+// The first segment is the proxy endpoint or Jikan's own name for it (schedule or schedules).
+// Fixed segments match in any case, placeholder values keep theirs.
+// Returns the endpoint and the parameters the equivalent query-string request would have.
+export function matchPath(parts) {
+  const names = parts.map(part => part.toLowerCase());
+  for (const route of routes) {
+    const segments = route.path.split("/").filter(Boolean);
+    if (segments.length !== parts.length) continue;
+    if (names[0] !== route.endpoint && names[0] !== segments[0]) continue;
+
+    const params = {};
+    const matched = segments.slice(1).every((segment, index) => {
+      const placeholder = segment.match(/^\{(\w+)\}$/);
+      if (placeholder) {
+        params[placeholder[1]] = parts[index + 1];
+        return true;
+      }
+      return segment === names[index + 1];
+    });
+
+    if (matched) {
+      if (route.resource) params.resource = route.resource;
+      return { endpoint: route.endpoint, params: { ...params, ...route.match } };
+    }
+  }
+  return null;
+}
+
+// Home page listing, one entry per route in path form
+export function routeListing() {
+  return Object.fromEntries(routes.map(route => {
+    const rest = route.path.split("/").filter(Boolean).slice(1);
+    return [["/api", route.endpoint, ...rest].join("/"), route.description];
+  }));
+}
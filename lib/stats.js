@@ -0,0 +1,191 @@
+// Statistics for monitoring
+export const stats = {
+  requests: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+  coalesced: 0, // cache misses that joined an upstream request already in flight
+  negativeHits: 0, // cached upstream 404s served again
+  staleHits: 0, // expired entries served while revalidating
+  staleIfError: 0, // expired entries served because the upstream failed
+  backgroundRefreshes: 0,
+  refreshErrors: 0,
+  errors: 0,
+  startTime: Date.now(),
+  responseTime: [] // recent response times
+};
+
+// Rolling windows are built from 10 second slots, an hour's worth is kept in a ring
+const SLOT_MS = 10 * 1000;
+const SLOT_COUNT = 360;
+const WINDOWS = { "1m": 6, "5m": 30, "1h": 360 };
+
+// Latencies are counted in log-scaled bins about 10% wide instead of keeping samples,
+// percentiles report the upper bound of the bin they fall in
+const BIN_BASE_MS = 0.1;
+const BIN_GROWTH = 1.1;
+const PERCENTILES = { p50: 0.5, p90: 0.9, p99: 0.99 };
+
+const slots = new Array(SLOT_COUNT).fill(null);
+
+// Cache statuses from fetchWithCache, grouped by whether Jikan was waited on
+const cachePaths = {
+  hit: "hit",
+  stale: "hit",
+  "stale-if-error": "hit",
+  miss: "miss",
+  coalesced: "miss"
+};
+
+function currentSlot() {
+  const id = Math.floor(Date.now() / SLOT_MS);
+  let slot = slots[id % SLOT_COUNT];
+  if (!slot || slot.id !== id) {
+    slot = { id, endpoints: {}, upstream: { requests: 0, statusCodes: {}, latency: {} } };
+    slots[id % SLOT_COUNT] = slot;
+  }
+  return slot;
+}
+
+function emptyEndpoint() {
+  return {
+    requests: 0,
+    errors: 0,
+    latency: {},
+    paths: { hit: { requests: 0, latency: {} }, miss: { requests: 0, latency: {} } }
+  };
+}
+
+function observe(bins, ms) {
+  const bin = Math.max(0, Math.ceil(Math.log(ms / BIN_BASE_MS) / Math.log(BIN_GROWTH)));
+  bins[bin] = (bins[bin] || 0) + 1;
+}
+
+function mergeCounts(target, source) {
+  for (const [name, count] of Object.entries(source)) {
+    target[name] = (target[name] || 0) + count;
+  }
+}
+
+function percentiles(bins) {
+  const sorted = Object.entries(bins).map(([bin, count]) => [Number(bin), count]).sort((a, b) => a[0] - b[0]);
+  const total = sorted.reduce((sum, [, count]) => sum + count, 0);
+
+  return Object.fromEntries(Object.entries(PERCENTILES).map(([name, quantile]) => {
+    if (total === 0) return [name, "0ms"];
+    let seen = 0;
+    const [bin] = sorted.find(([, count]) => (seen += count) >= quantile * total);
+    return [name, (BIN_BASE_MS * BIN_GROWTH ** bin).toFixed(2) + "ms"];
+  }));
+}
+
+function errorRate(errors, requests) {
+  return requests > 0 ? (errors / requests * 100).toFixed(2) + "%" : "0%";
+}
+
+function recordRequest(endpoint, ms, { error = false, status } = {}) {
+  const slot = currentSlot();
+  const entry = slot.endpoints[endpoint] ||= emptyEndpoint();
+
+  entry.requests++;
+  if (error) entry.errors++;
+  observe(entry.latency, ms);
+
+  const path = entry.paths[cachePaths[status]];
+  if (path) {
+    path.requests++;
+    observe(path.latency, ms);
+  }
+}
+
+// Every request sent to Jikan, `status` is the HTTP status or "timeout" / "error"
+export function recordUpstream(status, ms) {
+  const { upstream } = currentSlot();
+  upstream.requests++;
+  upstream.statusCodes[status] = (upstream.statusCodes[status] || 0) + 1;
+  observe(upstream.latency, ms);
+}
+
+function windowStats(slotCount) {
+  const newest = Math.floor(Date.now() / SLOT_MS);
+  const endpoints = {};
+  const upstream = { requests: 0, statusCodes: {}, latency: {} };
+  const overall = { requests: 0, errors: 0, latency: {} };
+
+  for (const slot of slots) {
+    if (!slot || newest - slot.id >= slotCount) continue;
+
+    for (const [name, data] of Object.entries(slot.endpoints)) {
+      const entry = endpoints[name] ||= emptyEndpoint();
+      entry.requests += data.requests;
+      entry.errors += data.errors;
+      mergeCounts(entry.latency, data.latency);
+      for (const path of ["hit", "miss"]) {
+        entry.paths[path].requests += data.paths[path].requests;
+        mergeCounts(entry.paths[path].latency, data.paths[path].latency);
+      }
+
+      overall.requests += data.requests;
+      overall.errors += data.errors;
+      mergeCounts(overall.latency, data.latency);
+    }
+
+    upstream.requests += slot.upstream.requests;
+    mergeCounts(upstream.statusCodes, slot.upstream.statusCodes);
+    mergeCounts(upstream.latency, slot.upstream.latency);
+  }
+
+  return {
+    requests: overall.requests,
+    errors: overall.errors,
+    errorRate: errorRate(overall.errors, overall.requests),
+    latency: percentiles(overall.latency),
+    endpoints: Object.entries(endpoints).map(([name, data]) => ({
+      name,
+      requests: data.requests,
+      errors: data.errors,
+      errorRate: errorRate(data.errors, data.requests),
+      latency: percentiles(data.latency),
+      cacheHit: { requests: data.paths.hit.requests, latency: percentiles(data.paths.hit.latency) },
+      cacheMiss: { requests: data.paths.miss.requests, latency: percentiles(data.paths.miss.latency) }
+    })),
+    upstream: {
+      requests: upstream.requests,
+      statusCodes: upstream.statusCodes,
+      latency: percentiles(upstream.latency)
+    }
+  };
+}
+
+// Request counts, error rates and latency percentiles over the last minute, 5 minutes and hour
+export function getWindowStats() {
+  return Object.fromEntries(Object.entries(WINDOWS).map(([name, slotCount]) => [name, windowStats(slotCount)]));
+}
+
+// Performance middleware
+export function performanceMiddleware(handler) {
+  return async (params) => {
+    const endpoint = handler.name;
+    stats.requests++;
+
+    const startTime = performance.now();
+
+    try {
+      const result = await handler(params);
+      const responseTime = performance.now() - startTime;
+
+      recordRequest(endpoint, responseTime, { status: result.status });
+      stats.responseTime.push(responseTime);
+
+      // Only keep the last 1000 samples for average calculation
+      if (stats.responseTime.length > 1000) {
+        stats.responseTime.shift();
+      }
+
+      return result;
+    } catch (error) {
+      recordRequest(endpoint, performance.now() - startTime, { error: true });
+      stats.errors++;
+      throw error;
+    }
+  };
+}
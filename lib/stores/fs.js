@@ -0,0 +1,72 @@
+import { readFile, writeFile, unlink, readdir, mkdir, rename } from "node:fs/promises";
+import { join } from "node:path";
+
+function fileName(key) {
+  return `${Buffer.from(key).toString("base64url")}.json`;
+}
+
+function keyFromFile(file) {
+  return Buffer.from(file.slice(0, -".json".length), "base64url").toString();
+}
+
+// One JSON file per entry, written as entries change instead of in bulk
+export function createFsStore({ dir }) {
+  const ready = mkdir(dir, { recursive: true });
+  let writes = 0;
+
+  return {
+    name: "fs",
+
+    async get(key) {
+      await ready;
+      try {
+        return JSON.parse(await readFile(join(dir, fileName(key)), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return undefined;
+        throw err;
+      }
+    },
+
+    async set(key, entry) {
+      await ready;
+      // Write to a temporary file first so readers never see a partial entry. Each write
+      // gets its own file, so concurrent writes of a key never rename each other's.
+      const target = join(dir, fileName(key));
+      const temp = `${target}.${process.pid}.${++writes}.tmp`;
+      await writeFile(temp, JSON.stringify(entry));
+      await rename(temp, target);
+    },
+
+    async delete(key) {
+      await ready;
+      try {
+        await unlink(join(dir, fileName(key)));
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+
+    async *entries() {
+      await ready;
+      for (const file of await readdir(dir)) {
+        if (!file.endsWith(".json") || file === "cache-index.json") continue;
+        try {
+          yield [keyFromFile(file), JSON.parse(await readFile(join(dir, file), "utf8"))];
+        } catch (err) {
+          // Skip entries removed or rewritten while iterating
+          if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+        }
+      }
+    },
+
+    async size() {
+      await ready;
+      const files = await readdir(dir);
+      return files.filter(file => file.endsWith(".json") && file !== "cache-index.json").length;
+    },
+
+    async close() {}
+  };
+}
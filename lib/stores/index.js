@@ -0,0 +1,20 @@
+import { createMemoryStore } from "./memory.js";
+import { createFsStore } from "./fs.js";
+import { createSqliteStore } from "./sqlite.js";
+import { createRedisStore } from "./redis.js";
+
+// Every store implements get/set/delete/entries/size/close, methods may return promises
+const factories = {
+  memory: createMemoryStore,
+  fs: createFsStore,
+  sqlite: createSqliteStore,
+  redis: createRedisStore
+};
+
+export async function createStore(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown cache store "${name}", expected one of: ${Object.keys(factories).join(", ")}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,119 @@
+function sizeOf(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+// Bounded in-memory store with LRU or LFU eviction, keys matching a pinned prefix are never evicted
+export function createMemoryStore({ maxEntries = Infinity, maxBytes = Infinity, policy = "lru", pinned = [] } = {}) {
+  // Map order doubles as recency, least recently used first
+  const items = new Map();
+  let bytes = 0;
+  let evictions = 0;
+
+  function isPinned(key) {
+    return pinned.some(prefix => key.startsWith(prefix));
+  }
+
+  // The entry just written goes last, otherwise LFU would drop every newcomer
+  function pickVictim(newest) {
+    let victim;
+    let fewestHits = Infinity;
+
+    for (const [key, item] of items) {
+      if (key === newest || isPinned(key)) continue;
+      if (policy === "lru") return key;
+
+      // LFU, ties go to the least recently used
+      if (item.hits < fewestHits) {
+        victim = key;
+        fewestHits = item.hits;
+      }
+    }
+
+    // Nothing else is evictable
+    if (victim === undefined && items.has(newest) && !isPinned(newest)) {
+      return newest;
+    }
+    return victim;
+  }
+
+  function remove(key) {
+    const item = items.get(key);
+    if (!item) return false;
+    items.delete(key);
+    bytes -= item.bytes;
+    return true;
+  }
+
+  function evict(newest) {
+    while (items.size > maxEntries || bytes > maxBytes) {
+      const key = pickVictim(newest);
+      // Only pinned entries left
+      if (key === undefined) return;
+      remove(key);
+      evictions++;
+    }
+  }
+
+  return {
+    name: "memory",
+
+    get(key) {
+      const item = items.get(key);
+      if (item === undefined) return undefined;
+
+      // Move to the most recently used position
+      items.delete(key);
+      items.set(key, item);
+      item.hits++;
+      return item.entry;
+    },
+
+    set(key, entry) {
+      const previous = items.get(key);
+      remove(key);
+
+      const item = { entry, bytes: sizeOf(entry), hits: previous ? previous.hits : 0 };
+      items.set(key, item);
+      bytes += item.bytes;
+      evict(key);
+    },
+
+    delete(key) {
+      return remove(key);
+    },
+
+    // Iterates without touching recency
+    *entries() {
+      for (const [key, item] of items) {
+        yield [key, item.entry];
+      }
+    },
+
+    size() {
+      return items.size;
+    },
+
+    // Size accounting for /api/stats
+    stats({ largest = 5 } = {}) {
+      let pinnedCount = 0;
+      for (const key of items.keys()) {
+        if (isPinned(key)) pinnedCount++;
+      }
+
+      return {
+        policy,
+        entries: items.size,
+        maxEntries,
+        bytes,
+        maxBytes,
+        evictions,
+        pinned: pinnedCount,
+        largestKeys: Array.from(items, ([key, item]) => ({ key, bytes: item.bytes }))
+          .sort((a, b) => b.bytes - a.bytes)
+          .slice(0, largest)
+      };
+    },
+
+    close() {}
+  };
+}
@@ -0,0 +1,204 @@
+import { connect as connectTcp, isIP } from "node:net";
+import { connect as connectTls } from "node:tls";
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+// Parse one RESP2 reply from `buffer` at `offset`, returns null when incomplete
+export function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(`Redis error: ${line}`), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+// Minimal pipelining RESP client, enough for the cache store. Replies come back in order,
+// so a command that times out can't be skipped: the connection is dropped, failing every
+// pending command, and the next command reconnects.
+function createClient(url, { connectTimeout, commandTimeout }) {
+  const { hostname, port, password, username, pathname, protocol } = new URL(url);
+  const connect = protocol === "rediss:" ? connectTls : connectTcp;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failPending(err) {
+    while (pending.length > 0) {
+      pending.shift().reject(err);
+    }
+  }
+
+  function drop(err) {
+    if (!socket) return;
+    const dropped = socket;
+    socket = null;
+    failPending(err);
+    dropped.destroy();
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => drop(new Error(`Redis ${args[0]} timed out after ${commandTimeout}ms`)), commandTimeout);
+      pending.push({
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: err => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function open() {
+    const current = connect({ host: hostname || "127.0.0.1", port: Number(port) || 6379, servername: isIP(hostname) ? undefined : hostname });
+    socket = current;
+    buffer = Buffer.alloc(0);
+
+    const connectTimer = setTimeout(() => drop(new Error(`Redis connect timed out after ${connectTimeout}ms`)), connectTimeout);
+    current.once(protocol === "rediss:" ? "secureConnect" : "connect", () => clearTimeout(connectTimer));
+    current.on("data", onData);
+    // Once dropped, this connection's commands have been failed already and any
+    // pending ones belong to its replacement
+    current.on("error", err => {
+      if (socket === current) drop(err);
+    });
+    current.on("close", () => {
+      clearTimeout(connectTimer);
+      if (socket === current) drop(new Error("Redis connection closed"));
+    });
+
+    const setup = [];
+    if (password) {
+      const auth = username
+        ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)]
+        : ["AUTH", decodeURIComponent(password)];
+      setup.push(send(auth));
+    }
+    const db = pathname.slice(1);
+    if (db) setup.push(send(["SELECT", db]));
+    // A connection that failed AUTH or SELECT is no use, the next command starts over
+    return Promise.all(setup).catch(err => {
+      if (socket === current) drop(err);
+      throw err;
+    });
+  }
+
+  let opening = null;
+
+  return {
+    async command(...args) {
+      // Reconnect lazily after the connection drops
+      if (!socket) {
+        opening = open();
+      }
+      await opening;
+      return send(args);
+    },
+
+    close() {
+      if (socket) {
+        socket.end();
+        socket = null;
+      }
+    }
+  };
+}
+
+// Entries live in a single hash so size and iteration stay cheap
+export function createRedisStore({ url, key = "jikan-proxy:cache", connectTimeout = 5000, commandTimeout = 2000 }) {
+  const client = createClient(url, { connectTimeout, commandTimeout });
+
+  return {
+    name: "redis",
+
+    async get(field) {
+      const value = await client.command("HGET", key, field);
+      return value === null ? undefined : JSON.parse(value);
+    },
+
+    async set(field, entry) {
+      await client.command("HSET", key, field, JSON.stringify(entry));
+    },
+
+    async delete(field) {
+      return (await client.command("HDEL", key, field)) > 0;
+    },
+
+    async *entries() {
+      let cursor = "0";
+      do {
+        const [nextCursor, items] = await client.command("HSCAN", key, cursor, "COUNT", 100);
+        for (let i = 0; i < items.length; i += 2) {
+          yield [items[i], JSON.parse(items[i + 1])];
+        }
+        cursor = nextCursor;
+      } while (cursor !== "0");
+    },
+
+    async size() {
+      return client.command("HLEN", key);
+    },
+
+    async close() {
+      client.close();
+    }
+  };
+}
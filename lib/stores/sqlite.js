@@ -0,0 +1,65 @@
+import { mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+
+// Bun ships bun:sqlite, Node 22.5+ ships node:sqlite
+async function openDatabase(path) {
+  if (typeof Bun !== "undefined") {
+    const { Database } = await import("bun:sqlite");
+    return new Database(path, { create: true });
+  }
+
+  try {
+    const { DatabaseSync } = await import("node:sqlite");
+    return new DatabaseSync(path);
+  } catch (err) {
+    throw new Error(`SQLite cache store needs Bun or Node.js >= 22.5 (${err.message})`);
+  }
+}
+
+// Embedded SQLite store, one row per entry
+export async function createSqliteStore({ path }) {
+  mkdirSync(dirname(path), { recursive: true });
+  const db = await openDatabase(path);
+
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec("CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL)");
+
+  const statements = {
+    get: db.prepare("SELECT entry FROM cache WHERE key = ?"),
+    set: db.prepare("INSERT INTO cache (key, entry) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET entry = excluded.entry"),
+    delete: db.prepare("DELETE FROM cache WHERE key = ?"),
+    all: db.prepare("SELECT key, entry FROM cache"),
+    size: db.prepare("SELECT COUNT(*) AS count FROM cache")
+  };
+
+  return {
+    name: "sqlite",
+
+    get(key) {
+      const row = statements.get.get(key);
+      return row ? JSON.parse(row.entry) : undefined;
+    },
+
+    set(key, entry) {
+      statements.set.run(key, JSON.stringify(entry));
+    },
+
+    delete(key) {
+      return statements.delete.run(key).changes > 0;
+    },
+
+    *entries() {
+      for (const row of statements.all.all()) {
+        yield [row.key, JSON.parse(row.entry)];
+      }
+    },
+
+    size() {
+      return statements.size.get().count;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
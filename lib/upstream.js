@@ -0,0 +1,175 @@
+import {
+  UPSTREAM_TIMEOUT,
+  UPSTREAM_RETRIES,
+  UPSTREAM_RETRY_BASE_DELAY,
+  UPSTREAM_RETRY_MAX_DELAY,
+  BREAKER_FAILURE_THRESHOLD,
+  BREAKER_COOLDOWN
+} from "./config.js";
+import { limitedFetch } from "./limiter.js";
+import { ProxyError, toProxyError } from "./errors.js";
+import { log } from "./logger.js";
+import { gauge } from "./metrics.js";
+
+// Circuit breaker: closed lets everything through, open fails fast,
+// half-open lets a single trial request decide whether to close again
+const breaker = {
+  state: "closed",
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false,
+  opens: 0,
+  rejected: 0
+};
+
+const upstreamStats = {
+  requests: 0,
+  failures: 0,
+  timeouts: 0,
+  retries: 0
+};
+
+const BREAKER_STATES = ["closed", "half-open", "open"];
+gauge(
+  "jikan_proxy_circuit_breaker_state",
+  "Upstream circuit breaker state, 0 closed, 1 half-open, 2 open",
+  () => BREAKER_STATES.indexOf(breaker.state)
+);
+gauge("jikan_proxy_upstream_retries_total", "Upstream requests retried after a timeout, network error or 5xx", () => upstreamStats.retries, "counter");
+gauge("jikan_proxy_circuit_breaker_rejected_total", "Requests failed fast while the circuit breaker was open", () => breaker.rejected, "counter");
+
+function openBreaker() {
+  breaker.state = "open";
+  breaker.openedAt = Date.now();
+  breaker.opens++;
+  log(`Circuit breaker opened after ${breaker.consecutiveFailures} consecutive upstream failures`, "error");
+}
+
+// Throws when the breaker is open, returns whether this request is the half-open trial
+function admit() {
+  if (breaker.state === "open") {
+    const remaining = breaker.openedAt + BREAKER_COOLDOWN - Date.now();
+    if (remaining > 0) {
+      breaker.rejected++;
+      throw new ProxyError(503, "upstream_circuit_open", "Jikan is failing, requests are paused for a moment", {
+        retryAfter: Math.ceil(remaining / 1000)
+      });
+    }
+    breaker.state = "half-open";
+  }
+
+  if (breaker.state === "half-open") {
+    if (breaker.trialInFlight) {
+      breaker.rejected++;
+      throw new ProxyError(503, "upstream_circuit_open", "Jikan is recovering, try again shortly", { retryAfter: 1 });
+    }
+    breaker.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(trial) {
+  if (trial) {
+    breaker.trialInFlight = false;
+    log("Circuit breaker closed, Jikan is responding again");
+  }
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+}
+
+function recordFailure(trial) {
+  upstreamStats.failures++;
+  breaker.consecutiveFailures++;
+
+  if (trial) {
+    breaker.trialInFlight = false;
+    openBreaker();
+  } else if (breaker.state === "closed" && breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+    openBreaker();
+  }
+}
+
+// Exponential backoff with full jitter
+function backoff(attempt) {
+  const ceiling = Math.min(UPSTREAM_RETRY_MAX_DELAY, UPSTREAM_RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send one attempt, resolving to a Response or rejecting with a ProxyError. The body is
+// read here as well, so a response that stalls halfway is a timeout that gets retried.
+async function attemptFetch(url, options) {
+  try {
+    const response = await limitedFetch(url, { background: options.background, timeout: UPSTREAM_TIMEOUT });
+    const body = response.body && await response.arrayBuffer();
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  } catch (error) {
+    if (error instanceof ProxyError) throw error;
+
+    if (error.name === "TimeoutError" || error.name === "AbortError") {
+      upstreamStats.timeouts++;
+      throw new ProxyError(504, "upstream_timeout", `Jikan did not respond within ${UPSTREAM_TIMEOUT}ms`);
+    }
+    throw toProxyError(error);
+  }
+}
+
+// GET from Jikan with a timeout, retries for outages and the circuit breaker.
+// Resolves to the Response for anything below 500, rejects with a ProxyError otherwise.
+export async function upstreamFetch(url, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const trial = admit();
+    upstreamStats.requests++;
+
+    let response;
+    let failure;
+    try {
+      response = await attemptFetch(url, options);
+    } catch (error) {
+      // Our own queue being full says nothing about Jikan's health
+      if (error.code === "queue_full" || error.code === "queue_timeout") {
+        if (trial) breaker.trialInFlight = false;
+        throw error;
+      }
+      failure = error;
+    }
+
+    if (response && response.status < 500) {
+      recordSuccess(trial);
+      return response;
+    }
+
+    recordFailure(trial);
+    // Out of retries, or this failure opened the breaker and a retry would only fail fast
+    if (attempt >= UPSTREAM_RETRIES || breaker.state === "open") {
+      if (failure) throw failure;
+      return response;
+    }
+
+    const delay = backoff(attempt);
+    upstreamStats.retries++;
+    log(`Upstream ${failure ? failure.code : `status ${response.status}`} for ${url}, retry ${attempt + 1} in ${delay}ms`, "warn");
+    await response?.body?.cancel();
+    await sleep(delay);
+  }
+}
+
+export function getUpstreamStats() {
+  return {
+    requests: upstreamStats.requests,
+    failures: upstreamStats.failures,
+    timeouts: upstreamStats.timeouts,
+    retries: upstreamStats.retries,
+    circuitBreaker: {
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt === null ? null : new Date(breaker.openedAt).toISOString(),
+      opens: breaker.opens,
+      rejected: breaker.rejected
+    }
+  };
+}
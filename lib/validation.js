@@ -0,0 +1,88 @@
+// Query parameter validation. Requests that fail validation get a 400
+// listing each bad field and never reach Jikan. The schemas live in the route table.
+
+// Parameter checks, each returns null when the value is valid or a message
+export const param = {
+  integer({ min = 1, max = 2 ** 31 - 1 } = {}) {
+    return value => {
+      const number = Number(value);
+      return /^\d+$/.test(value) && number >= min && number <= max
+        ? null
+        : `expected an integer between ${min} and ${max}`;
+    };
+  },
+
+  number({ min, max }) {
+    return value => {
+      const number = Number(value);
+      return /^\d+(\.\d+)?$/.test(value) && number >= min && number <= max
+        ? null
+        : `expected a number between ${min} and ${max}`;
+    };
+  },
+
+  oneOf(choices) {
+    return value => choices.includes(value) ? null : `expected one of ${choices.join(", ")}`;
+  },
+
+  string({ maxLength = 100 } = {}) {
+    return value => value.length <= maxLength ? null : `must be at most ${maxLength} characters`;
+  },
+
+  boolean() {
+    return value => value === "true" || value === "false" ? null : "expected true or false";
+  },
+
+  // YYYY, YYYY-MM or YYYY-MM-DD
+  date() {
+    return value => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) ? null : "expected a date as YYYY, YYYY-MM or YYYY-MM-DD";
+  },
+
+  // Comma-separated ids such as 1,5,20
+  idList() {
+    return value => /^\d+(,\d+)*$/.test(value) ? null : "expected comma-separated numeric ids";
+  },
+
+  letter() {
+    return value => /^[a-z0-9]$/i.test(value) ? null : "expected a single letter or digit";
+  },
+
+  username() {
+    return value => /^[\w-]{2,16}$/.test(value) ? null : "expected a MyAnimeList username";
+  }
+};
+
+// `params` are the allowed parameters. `strict` rejects any other parameter,
+// used where parameters are passed on to Jikan. `check` validates across fields.
+// Returns a list of `{ field, value, message }`, empty when the parameters are valid
+export function validateParams(schema, params) {
+  const errors = [];
+  for (const field of new Set(params.keys())) {
+    const values = params.getAll(field);
+    const check = schema.params[field];
+
+    if (!check) {
+      if (schema.strict) {
+        errors.push({ field, value: values[0], message: "unknown parameter" });
+      }
+      continue;
+    }
+
+    if (values.length > 1) {
+      errors.push({ field, value: values, message: "must be given only once" });
+      continue;
+    }
+
+    // Empty values mean the same as leaving the parameter out
+    const message = values[0] === "" ? null : check(values[0]);
+    if (message) {
+      errors.push({ field, value: values[0], message });
+    }
+  }
+
+  // Cross-field checks only make sense once every field is valid on its own
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(params));
+  }
+  return errors;
+}
@@ -0,0 +1,79 @@
+import { WARM_TARGETS, WARM_INTERVAL, WARM_REFRESH_AHEAD, WARM_SPACING } from "./config.js";
+import { handlers } from "./handlers.js";
+import { endpoints, validateRoute } from "./routes.js";
+import { log } from "./logger.js";
+
+const warmerStats = {
+  enabled: false,
+  running: false,
+  runs: 0,
+  lastRunAt: null,
+  lastRunDuration: null,
+  lastResults: []
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Refresh every target expiring within WARM_REFRESH_AHEAD, one at a time
+export async function warmCache() {
+  if (warmerStats.running) return;
+
+  warmerStats.running = true;
+  const startTime = performance.now();
+  const results = [];
+
+  for (const [index, { endpoint, params = {} }] of WARM_TARGETS.entries()) {
+    // Space targets out so warming never takes a burst of the rate limit
+    if (index > 0) await sleep(WARM_SPACING);
+
+    const targetStart = performance.now();
+    try {
+      const searchParams = new URLSearchParams(params);
+      if (!endpoints.includes(endpoint)) {
+        throw new Error("unknown endpoint");
+      }
+      const invalid = validateRoute(endpoint, searchParams);
+      if (invalid.length > 0) {
+        throw new Error(`invalid parameters: ${invalid.map(error => `${error.field} ${error.message}`).join("; ")}`);
+      }
+
+      await handlers[endpoint](searchParams, {
+        refreshAhead: WARM_REFRESH_AHEAD,
+        background: true
+      });
+      results.push({ endpoint, params, ok: true, duration: Math.round(performance.now() - targetStart) });
+    } catch (error) {
+      log(`Cache warming failed for ${endpoint}: ${error.message}`, "warn");
+      results.push({ endpoint, params, ok: false, error: error.message });
+    }
+  }
+
+  warmerStats.running = false;
+  warmerStats.runs++;
+  warmerStats.lastRunAt = new Date().toISOString();
+  warmerStats.lastRunDuration = Math.round(performance.now() - startTime);
+  warmerStats.lastResults = results;
+
+  const failed = results.filter(result => !result.ok).length;
+  log(`Cache warming done: ${results.length - failed} ok, ${failed} failed`);
+}
+
+export function startWarmer() {
+  warmerStats.enabled = true;
+  warmCache();
+  setInterval(warmCache, WARM_INTERVAL);
+}
+
+export function getWarmerStats() {
+  return {
+    enabled: warmerStats.enabled,
+    running: warmerStats.running,
+    runs: warmerStats.runs,
+    targets: WARM_TARGETS.length,
+    lastRunAt: warmerStats.lastRunAt,
+    lastRunDuration: warmerStats.lastRunDuration === null ? null : warmerStats.lastRunDuration + "ms",
+    lastResults: warmerStats.lastResults
+  };
+}
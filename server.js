@@ -0,0 +1,11 @@
+import { createServer } from "node:http";
+import { PORT } from "./lib/config.js";
+import { nodeHandler } from "./lib/adapters/node.js";
+import { startMaintenance } from "./lib/lifecycle.js";
+import { log } from "./lib/logger.js";
+
+await startMaintenance();
+
+createServer(nodeHandler).listen(PORT, () => {
+  log(`Jikan API Proxy running at http://localhost:${PORT}`);
+});
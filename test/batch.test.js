@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.BATCH_MAX_ITEMS = "5";
+process.env.CLIENT_RATE_LIMIT = "20";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+
+function stubJikan(t) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url.replace("https://api.jikan.moe/v4", ""));
+    return new Response(JSON.stringify({ data: { url } }));
+  });
+  return fetched;
+}
+
+async function post(body, headers = {}) {
+  const response = await handleRequest(new Request("http://proxy/api/batch", {
+    method: "POST",
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  }));
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("every item is answered in order, failures as the item's own error", async t => {
+  const fetched = stubJikan(t);
+
+  const { status, body } = await post({ requests: ["/anime/1/episodes?page=2", { endpoint: "manga", params: { id: 3 } }, "/nope/1"] });
+
+  assert.equal(status, 200);
+  assert.equal(body.count, 3);
+  assert.equal(body.errors, 1);
+  assert.deepEqual(body.results.map(result => [result.index, result.endpoint, result.status]), [
+    [0, "anime", 200],
+    [1, "manga", 200],
+    [2, "nope", 404]
+  ]);
+  assert.deepEqual(fetched.sort(), ["/anime/1/episodes?page=2", "/manga/3"]);
+});
+
+test("malformed batches are a 400 naming the bad item", async t => {
+  stubJikan(t);
+
+  const { status, body } = await post(["/anime/1", "http://[::1"]);
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "invalid_batch");
+  assert.match(body.error.message, /^Item 1:/);
+
+  assert.equal((await post("not json")).body.error.code, "invalid_batch");
+  assert.equal((await post({ requests: [] })).body.error.code, "invalid_batch");
+  assert.equal((await post(Array(6).fill("/anime/1"))).body.error.code, "batch_too_large");
+});
+
+test("?ids= is checked before it is charged, and charged once per distinct id", async t => {
+  const fetched = stubJikan(t);
+  const get = query => handleRequest(new Request(`http://proxy/api/anime?${query}`), { remoteAddress: "192.0.2.24" });
+
+  assert.equal((await get("ids=a,b,c")).status, 400);
+  const tooMany = await get("ids=1,2,3,4,5,6");
+  assert.equal(tooMany.status, 400);
+  assert.equal((await tooMany.json()).error.code, "batch_too_large");
+
+  const response = await get("ids=1,2,2,02");
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).count, 2);
+  assert.equal(response.headers.get("ratelimit-remaining"), "18");
+  assert.deepEqual(fetched.sort(), ["/anime/1", "/anime/2"]);
+});
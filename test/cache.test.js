@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.STALE_WHILE_REVALIDATE = "1h";
+process.env.STALE_IF_ERROR = "1d";
+process.env.UPSTREAM_RETRIES = "0";
+process.env.BREAKER_FAILURE_THRESHOLD = "100";
+process.env.MAX_REQUESTS_PER_SECOND = "100";
+process.env.MAX_REQUESTS_PER_MINUTE = "1000";
+process.env.CLIENT_RATE_LIMIT = "0";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+const { cache } = await import("../lib/cache.js");
+
+const HOUR = 60 * 60 * 1000;
+
+// Jikan answering every request with `status`, the title says which answer it was
+function stubJikan(t, status = 200) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    return new Response(JSON.stringify({ data: { title: `answer ${fetched.length}` } }), { status });
+  });
+  return fetched;
+}
+
+async function get(path) {
+  const response = await handleRequest(new Request(`http://proxy${path}`));
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Make the cached entry for `key` look `age` past its TTL
+function expire(key, age) {
+  const entry = cache.get(key);
+  cache.set(key, { ...entry, timestamp: Date.now() - entry.duration - age });
+}
+
+// Let background work run until `condition` holds, giving up after a while
+async function until(condition) {
+  for (let turn = 0; turn < 1000 && !condition(); turn++) {
+    await new Promise(setImmediate);
+  }
+  assert.ok(condition(), "timed out waiting for background work");
+}
+
+test("an expired entry is served stale while it is fetched again in the background", async t => {
+  const fetched = stubJikan(t);
+  await get("/api/anime/1");
+  expire("anime_1", HOUR / 2);
+
+  const stale = await get("/api/anime/1");
+  assert.equal(stale.headers.get("x-cache"), "STALE");
+  assert.equal(stale.headers.get("warning"), '110 - "Response is Stale"');
+  assert.equal(stale.body.stale, true);
+  assert.equal(stale.body.data.title, "answer 1");
+
+  await until(() => cache.get("anime_1").data.data.title === "answer 2");
+  const fresh = await get("/api/anime/1");
+  assert.equal(fresh.headers.get("x-cache"), "HIT");
+  assert.equal(fresh.body.data.title, "answer 2");
+  assert.equal(fetched.length, 2);
+});
+
+test("past the revalidation window a failing Jikan is covered by the stale copy", async t => {
+  stubJikan(t);
+  await get("/api/anime/2");
+  expire("anime_2", 2 * HOUR);
+
+  t.mock.restoreAll();
+  stubJikan(t, 503);
+  const { status, headers, body } = await get("/api/anime/2");
+
+  assert.equal(status, 200);
+  assert.equal(headers.get("x-cache"), "STALE-IF-ERROR");
+  assert.equal(body.stale, true);
+  assert.equal(body.data.title, "answer 1");
+});
+
+test("only outages are covered, and only within STALE_IF_ERROR", async t => {
+  stubJikan(t);
+  await get("/api/anime/3");
+  await get("/api/anime/4");
+  expire("anime_3", 2 * HOUR);
+  expire("anime_4", 25 * HOUR);
+
+  t.mock.restoreAll();
+  stubJikan(t, 404);
+  assert.equal((await get("/api/anime/3")).status, 404);
+
+  t.mock.restoreAll();
+  stubJikan(t, 503);
+  assert.equal((await get("/api/anime/4")).status, 502);
+});
+
+// Jikan holding every request until `answer` is called with a status
+function holdJikan(t) {
+  const fetched = [];
+  let answer;
+  const answered = new Promise(resolve => {
+    answer = resolve;
+  });
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    const status = await answered;
+    return new Response(JSON.stringify({ data: { title: "held" } }), { status });
+  });
+  return { fetched, answer };
+}
+
+test("concurrent misses of one key share a single upstream request", async t => {
+  const { fetched, answer } = holdJikan(t);
+
+  const responses = Promise.all([1, 2, 3].map(() => get("/api/anime/5")));
+  await until(() => fetched.length > 0);
+  answer(200);
+  const results = await responses;
+
+  assert.equal(fetched.length, 1);
+  assert.deepEqual(results.map(result => result.headers.get("x-cache")), ["MISS", "COALESCED", "COALESCED"]);
+  assert.deepEqual(results.map(result => result.body.data.title), ["held", "held", "held"]);
+  assert.equal((await get("/api/anime/5")).headers.get("x-cache"), "HIT");
+});
+
+test("a failed shared request fails every caller, and the next miss tries again", async t => {
+  const { fetched, answer } = holdJikan(t);
+
+  const responses = Promise.all([1, 2].map(() => get("/api/anime/6")));
+  await until(() => fetched.length > 0);
+  answer(503);
+  const results = await responses;
+
+  assert.deepEqual(results.map(result => [result.status, result.body.error.code]), [[502, "upstream_error"], [502, "upstream_error"]]);
+  assert.equal(fetched.length, 1);
+
+  t.mock.restoreAll();
+  stubJikan(t);
+  assert.equal((await get("/api/anime/6")).headers.get("x-cache"), "MISS");
+});
@@ -0,0 +1,119 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const LIMITED_KEY = "limited-key-0123456789";
+const UNLIMITED_KEY = "unlimited-key-0123456789";
+
+// Settings are read when config.js is first imported, and the keys when clients.js is
+const dir = mkdtempSync(join(tmpdir(), "jikan-proxy-keys-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+writeFileSync(join(dir, "keys.json"), JSON.stringify({
+  keys: [
+    { key: LIMITED_KEY, name: "limited", requestsPerMinute: 0, dailyQuota: 2 },
+    { key: UNLIMITED_KEY, name: "unlimited", requestsPerMinute: 0 }
+  ]
+}));
+process.env.API_KEYS_FILE = join(dir, "keys.json");
+process.env.CLIENT_RATE_LIMIT = "3";
+process.env.CLIENT_DAILY_QUOTA = "0";
+process.env.TRUST_PROXY = "false";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+
+function stubJikan(t) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    return new Response(JSON.stringify({ data: { mal_id: 1 } }));
+  });
+  return fetched;
+}
+
+async function get(path, { headers, ip = "192.0.2.1" } = {}) {
+  const response = await handleRequest(new Request(`http://proxy${path}`, { headers }), { remoteAddress: ip });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("clients without a key are limited per address", async t => {
+  stubJikan(t);
+
+  const remaining = [];
+  for (let request = 0; request < 3; request++) {
+    const { status, headers } = await get("/api/anime/1", { ip: "192.0.2.10" });
+    assert.equal(status, 200);
+    assert.equal(headers.get("ratelimit-limit"), "3");
+    assert.equal(headers.get("ratelimit-policy"), "3;w=60");
+    remaining.push(headers.get("ratelimit-remaining"));
+  }
+  assert.deepEqual(remaining, ["2", "1", "0"]);
+
+  const refused = await get("/api/anime/1", { ip: "192.0.2.10" });
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.error.code, "client_rate_limited");
+  assert.equal(refused.headers.get("retry-after"), "20");
+  assert.equal(refused.headers.get("ratelimit-remaining"), "0");
+
+  assert.equal((await get("/api/anime/1", { ip: "192.0.2.11" })).status, 200);
+});
+
+test("X-Forwarded-For is ignored without TRUST_PROXY", async t => {
+  stubJikan(t);
+
+  for (let request = 0; request < 3; request++) {
+    const { status } = await get("/api/anime/1", { ip: "192.0.2.20", headers: { "X-Forwarded-For": `198.51.100.${request}` } });
+    assert.equal(status, 200);
+  }
+  assert.equal((await get("/api/anime/1", { ip: "192.0.2.20", headers: { "X-Forwarded-For": "198.51.100.99" } })).status, 429);
+});
+
+test("API keys get their own limits and quota", async t => {
+  stubJikan(t);
+  const headers = { "X-API-Key": LIMITED_KEY };
+
+  const first = await get("/api/anime/1", { headers });
+  assert.equal(first.headers.get("ratelimit-limit"), "2");
+  assert.equal(first.headers.get("ratelimit-remaining"), "1");
+  assert.equal(first.headers.get("ratelimit-policy"), "2;w=86400");
+  assert.equal((await get("/api/anime/1", { headers })).status, 200);
+
+  const refused = await get("/api/anime/1", { headers });
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.error.code, "quota_exceeded");
+  assert.ok(Number(refused.headers.get("retry-after")) <= 86400);
+
+  // Another address makes no difference, the quota belongs to the key
+  assert.equal((await get("/api/anime/1", { headers, ip: "192.0.2.30" })).status, 429);
+});
+
+test("?api_key= works like the header and never reaches Jikan", async t => {
+  const fetched = stubJikan(t);
+
+  for (let request = 0; request < 5; request++) {
+    const { status, headers } = await get(`/api/anime/2?api_key=${UNLIMITED_KEY}`);
+    assert.equal(status, 200);
+    assert.equal(headers.get("ratelimit-limit"), null);
+  }
+  assert.deepEqual(fetched, ["https://api.jikan.moe/v4/anime/2"]);
+});
+
+test("an unknown key is refused rather than treated as no key", async t => {
+  stubJikan(t);
+
+  const { status, body } = await get("/api/anime/1", { headers: { "X-API-Key": "not-a-key-0123456789" } });
+
+  assert.equal(status, 401);
+  assert.equal(body.error.code, "invalid_api_key");
+});
+
+test("usage per key is reported in /api/stats", async () => {
+  const { body } = await get("/api/stats", { ip: "192.0.2.40" });
+  const limited = body.clients.keys.find(key => key.name === "limited");
+
+  assert.equal(limited.usedToday, 2);
+  assert.equal(limited.dailyQuota, 2);
+  assert.ok(limited.rejected >= 1);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ProxyError, toProxyError, upstreamJson } from "../lib/errors.js";
+
+test("ProxyErrors pass through unchanged", () => {
+  const error = new ProxyError(404, "upstream_not_found", "Resource does not exist");
+
+  assert.equal(toProxyError(error), error);
+});
+
+test("timeouts become 504 upstream_timeout", () => {
+  for (const name of ["TimeoutError", "AbortError"]) {
+    const { status, code } = toProxyError(new DOMException("The operation timed out", name));
+    assert.deepEqual({ status, code }, { status: 504, code: "upstream_timeout" }, name);
+  }
+});
+
+test("failed connections become 502 upstream_unreachable", () => {
+  const { status, code } = toProxyError(new TypeError("fetch failed"));
+
+  assert.deepEqual({ status, code }, { status: 502, code: "upstream_unreachable" });
+});
+
+test("anything else is a 500 internal_error", () => {
+  const { status, code, message } = toProxyError(new Error("boom"));
+
+  assert.deepEqual({ status, code, message }, { status: 500, code: "internal_error", message: "boom" });
+});
+
+test("upstreamJson parses Jikan's body", async () => {
+  assert.deepEqual(await upstreamJson(new Response('{"data":{"mal_id":1}}')), { data: { mal_id: 1 } });
+});
+
+test("a body that is not JSON is a 502 upstream_error", async () => {
+  const response = new Response("<html>Cloudflare</html>", { headers: { "Content-Type": "text/html" } });
+
+  await assert.rejects(upstreamJson(response), { status: 502, code: "upstream_error", upstreamStatus: 200 });
+});
@@ -0,0 +1,20 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createFsStore } from "../lib/stores/fs.js";
+
+const dir = await mkdtemp(join(tmpdir(), "jikan-proxy-fs-"));
+after(() => rm(dir, { recursive: true, force: true }));
+
+test("concurrent writes of one key all land and leave no temporary files", async () => {
+  const store = createFsStore({ dir });
+  const entries = Array.from({ length: 20 }, (_, index) => ({ data: { index, padding: "x".repeat(64 * 1024) } }));
+
+  await Promise.all(entries.map(entry => store.set("anime_1", entry)));
+
+  const { data } = await store.get("anime_1");
+  assert.deepEqual(data, entries[data.index].data);
+  assert.deepEqual(await readdir(dir), [`${Buffer.from("anime_1").toString("base64url")}.json`]);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.CLIENT_RATE_LIMIT = "0";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+
+function stubJikan(t) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    return new Response(JSON.stringify({ data: { mal_id: 1, title: "Cowboy Bebop" } }));
+  });
+  return fetched;
+}
+
+function get(path, headers = {}) {
+  return handleRequest(new Request(`http://proxy${path}`, { headers }));
+}
+
+test("a miss and the hits after it share one validator, weak for enveloped bodies", async t => {
+  stubJikan(t);
+
+  const miss = await get("/api/anime/1");
+  const hit = await get("/api/anime/1");
+
+  assert.equal(miss.headers.get("x-cache"), "MISS");
+  assert.equal(hit.headers.get("x-cache"), "HIT");
+  assert.match(miss.headers.get("etag"), /^W\/"[\w-]+"$/);
+  assert.equal(hit.headers.get("etag"), miss.headers.get("etag"));
+  assert.notDeepEqual((await miss.json()).cache, (await hit.json()).cache);
+});
+
+test("envelope=false bodies get a strong validator unless they may be compressed", async t => {
+  stubJikan(t);
+
+  const plain = await get("/api/anime/2?envelope=false");
+  const compressed = await get("/api/anime/2?envelope=false", { "Accept-Encoding": "gzip" });
+
+  assert.match(plain.headers.get("etag"), /^"[\w-]+"$/);
+  assert.equal(compressed.headers.get("etag"), `W/${plain.headers.get("etag")}`);
+  assert.deepEqual(await plain.json(), { data: { mal_id: 1, title: "Cowboy Bebop" } });
+});
+
+test("a current validator gets a 304 without a body or an upstream call", async t => {
+  const fetched = stubJikan(t);
+  const first = await get("/api/anime/3");
+  const etag = first.headers.get("etag");
+
+  for (const headers of [
+    { "If-None-Match": etag },
+    { "If-None-Match": etag.replace(/^W\//, "") },
+    { "If-None-Match": `"other", ${etag}` },
+    { "If-Modified-Since": first.headers.get("last-modified") }
+  ]) {
+    const response = await get("/api/anime/3", headers);
+    assert.equal(response.status, 304, JSON.stringify(headers));
+    assert.equal(response.body, null);
+    assert.equal(response.headers.get("etag"), etag);
+  }
+  assert.equal(fetched.length, 1);
+});
+
+test("an outdated validator gets the full response", async t => {
+  stubJikan(t);
+  await get("/api/anime/4");
+
+  assert.equal((await get("/api/anime/4", { "If-None-Match": '"outdated"' })).status, 200);
+  assert.equal((await get("/api/anime/4", { "If-Modified-Since": "Thu, 01 Jan 1970 00:00:00 GMT" })).status, 200);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.MAX_REQUESTS_PER_SECOND = "2";
+process.env.MAX_REQUESTS_PER_MINUTE = "1000";
+process.env.MAX_QUEUE_LENGTH = "2";
+process.env.LOG_LEVEL = "error";
+
+// The buckets refill by Date.now() and waiters wake on setTimeout, so both run on a mocked
+// clock from before the limiter is loaded
+mock.timers.enable({ apis: ["setTimeout", "Date"] });
+after(() => mock.timers.reset());
+
+const { limitedFetch, getLimiterStats } = await import("../lib/limiter.js");
+
+const ANIME_URL = "https://api.jikan.moe/v4/anime/1";
+
+function answerWith(t, ...responses) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    return responses.length > 1 ? responses.shift() : responses[0];
+  });
+  return fetched;
+}
+
+// Let everything that is ready run, then move the clock on by `ms`
+async function advance(ms) {
+  await new Promise(setImmediate);
+  mock.timers.tick(ms);
+  await new Promise(setImmediate);
+}
+
+// Start every test with a full per-second bucket
+beforeEach(() => advance(1000));
+
+test("requests past the per-second limit wait for a token", async t => {
+  const fetched = answerWith(t, new Response("{}"));
+  const startTime = Date.now();
+  const finished = [];
+
+  const requests = [1, 2, 3].map(() => limitedFetch(ANIME_URL).then(() => finished.push(Date.now() - startTime)));
+  await advance(499);
+  assert.deepEqual(finished, [0, 0]);
+
+  await advance(1);
+  await Promise.all(requests);
+  assert.deepEqual(finished, [0, 0, 500]);
+  assert.equal(fetched.length, 3);
+});
+
+test("a full queue is refused with queue_full", async t => {
+  answerWith(t, new Response("{}"));
+
+  // Two take the tokens, two wait in the queue, the fifth has no room
+  const requests = Promise.allSettled([1, 2, 3, 4, 5].map(() => limitedFetch(ANIME_URL)));
+  await advance(500);
+  await advance(500);
+  const results = await requests;
+
+  assert.deepEqual(results.map(result => result.status), ["fulfilled", "fulfilled", "fulfilled", "fulfilled", "rejected"]);
+  assert.equal(results[4].reason.status, 503);
+  assert.equal(results[4].reason.code, "queue_full");
+});
+
+test("live requests are sent before queued background requests", async t => {
+  const fetched = answerWith(t, new Response("{}"));
+  await Promise.all([limitedFetch(`${ANIME_URL}?warm-up=1`), limitedFetch(`${ANIME_URL}?warm-up=2`)]);
+
+  const requests = Promise.all([
+    limitedFetch(`${ANIME_URL}?background`, { background: true }),
+    limitedFetch(`${ANIME_URL}?live`)
+  ]);
+  await advance(500);
+  await advance(500);
+  await requests;
+
+  assert.deepEqual(fetched.slice(2), [`${ANIME_URL}?live`, `${ANIME_URL}?background`]);
+});
+
+test("a 429 is retried after Retry-After", async t => {
+  const retriesBefore = getLimiterStats().retries;
+  const fetched = answerWith(t, new Response("", { status: 429, headers: { "Retry-After": "0.3" } }), new Response("{}"));
+
+  const request = limitedFetch(ANIME_URL);
+  await advance(299);
+  assert.equal(fetched.length, 1);
+
+  await advance(1);
+  const response = await request;
+  assert.equal(response.status, 200);
+  assert.equal(fetched.length, 2);
+  assert.equal(getLimiterStats().retries, retriesBefore + 1);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+const { gauge } = await import("../lib/metrics.js");
+
+test("a gauge that can't be read is left out, the rest are still scraped", async () => {
+  gauge("test_unreachable_store_entries", "Entries in a store that is down", async () => {
+    throw new Error("connect ECONNREFUSED 127.0.0.1:6379");
+  });
+
+  const response = await handleRequest(new Request("http://proxy/metrics"));
+  const body = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(body, /^jikan_proxy_cache_entries \d+$/m);
+  assert.match(body, /^# TYPE test_unreachable_store_entries gauge$/m);
+  assert.doesNotMatch(body, /^test_unreachable_store_entries /m);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.MAX_AGGREGATE_PAGES = "3";
+process.env.CLIENT_RATE_LIMIT = "0";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+
+// A listing of `lastPage` pages with two items each, recording the pages asked for
+function stubListing(t, lastPage) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    const page = Number(new URL(url).searchParams.get("page") || 1);
+    fetched.push(page);
+    return new Response(JSON.stringify({
+      pagination: { last_visible_page: lastPage, has_next_page: page < lastPage, items: { total: lastPage * 2 } },
+      data: [`${page}a`, `${page}b`]
+    }));
+  });
+  return fetched;
+}
+
+async function get(path) {
+  const response = await handleRequest(new Request(`http://proxy${path}`));
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("pages= merges a range of pages into one response", async t => {
+  const fetched = stubListing(t, 9);
+
+  const { status, headers, body } = await get("/api/top/anime?pages=2-3");
+
+  assert.equal(status, 200);
+  assert.deepEqual(fetched, [2, 3]);
+  assert.deepEqual(body.data, ["2a", "2b", "3a", "3b"]);
+  assert.deepEqual(body.pagination, {
+    first_page: 2,
+    last_page: 3,
+    pages_fetched: 2,
+    last_visible_page: 9,
+    has_next_page: true,
+    truncated: false,
+    items: { count: 4, total: 18 }
+  });
+  assert.equal(headers.get("x-cache"), "MISS");
+});
+
+test("all=true stops at the last page, or at MAX_AGGREGATE_PAGES", async t => {
+  stubListing(t, 2);
+  const short = await get("/api/seasons/now?all=true");
+  assert.equal(short.body.pagination.pages_fetched, 2);
+  assert.equal(short.body.pagination.truncated, false);
+
+  t.mock.restoreAll();
+  stubListing(t, 9);
+  const long = await get("/api/seasons/upcoming?all=true");
+  assert.equal(long.body.pagination.pages_fetched, 3);
+  assert.equal(long.body.pagination.truncated, true);
+});
+
+test("pages already cached are not fetched again", async t => {
+  const fetched = stubListing(t, 9);
+
+  await get("/api/top/manga?page=2");
+  const { headers } = await get("/api/top/manga?pages=1-2");
+
+  assert.deepEqual(fetched, [2, 1]);
+  assert.equal(headers.get("x-cache"), "MISS");
+  assert.equal((await get("/api/top/manga?pages=1-2")).headers.get("x-cache"), "HIT");
+});
+
+test("all=true and the same pages= range are cached apart", async t => {
+  stubListing(t, 9);
+
+  assert.equal((await get("/api/top/characters?pages=1-3")).body.pagination.truncated, false);
+  assert.equal((await get("/api/top/characters?all=true")).body.pagination.truncated, true);
+  assert.equal((await get("/api/top/characters?pages=1-3")).body.pagination.truncated, false);
+});
+
+test("bad ranges are refused before anything is fetched", async t => {
+  const fetched = stubListing(t, 9);
+
+  for (const query of ["pages=1-9", "pages=3-1", "all=true&pages=1-2", "page=2&pages=1-2"]) {
+    const { status, body } = await get(`/api/top/anime?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.error.code, "invalid_parameters", query);
+  }
+  assert.equal((await get("/api/anime/5?all=true")).status, 400);
+  assert.deepEqual(fetched, []);
+});
@@ -0,0 +1,208 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:net";
+import { createRedisStore, parseReply } from "../lib/stores/redis.js";
+
+// Just enough of a Redis server for the store: a single hash, HSCAN pages of COUNT fields
+function startFakeRedis() {
+  const hash = new Map();
+  const sockets = new Set();
+  const commands = [];
+  const bulk = value => (value === null ? "$-1\r\n" : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const array = items => `*${items.length}\r\n${items.join("")}`;
+
+  function reply([name, ...args]) {
+    switch (name) {
+      case "AUTH":
+        return args.at(-1) === "secret" ? "+OK\r\n" : "-WRONGPASS invalid password\r\n";
+      case "SELECT":
+        return "+OK\r\n";
+      case "HGET":
+        return bulk(hash.get(args[1]) ?? null);
+      case "HSET": {
+        const added = hash.has(args[1]) ? 0 : 1;
+        hash.set(args[1], args[2]);
+        return `:${added}\r\n`;
+      }
+      case "HDEL":
+        return `:${hash.delete(args[1]) ? 1 : 0}\r\n`;
+      case "HLEN":
+        return `:${hash.size}\r\n`;
+      case "HSCAN": {
+        const start = Number(args[1]);
+        const count = Number(args[3]);
+        const fields = [...hash].slice(start, start + count);
+        const next = start + count < hash.size ? String(start + count) : "0";
+        return array([bulk(next), array(fields.flat().map(bulk))]);
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on("data", chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while (buffer.length > 0 && (parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        commands.push(parsed.value);
+        if (server.stalled) continue;
+        socket.write(reply(parsed.value));
+      }
+    });
+  });
+  server.stalled = false;
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      url: `redis://127.0.0.1:${server.address().port}`,
+      hash,
+      commands,
+      stall(stalled) {
+        server.stalled = stalled;
+      },
+      dropConnections() {
+        for (const socket of sockets) socket.destroy();
+      },
+      close: () => new Promise(done => {
+        for (const socket of sockets) socket.destroy();
+        server.close(done);
+      })
+    }));
+  });
+}
+
+let redis;
+before(async () => {
+  redis = await startFakeRedis();
+});
+after(() => redis.close());
+
+test("parseReply reads every RESP2 type", () => {
+  const parse = text => parseReply(Buffer.from(text), 0);
+
+  assert.deepEqual(parse("+OK\r\n"), { value: "OK", offset: 5 });
+  assert.deepEqual(parse(":42\r\n"), { value: 42, offset: 5 });
+  assert.deepEqual(parse("$-1\r\n"), { value: null, offset: 5 });
+  assert.deepEqual(parse("*-1\r\n"), { value: null, offset: 5 });
+  assert.deepEqual(parse("*2\r\n$1\r\na\r\n*1\r\n:1\r\n"), { value: ["a", [1]], offset: 19 });
+
+  const error = parse("-ERR wrong type\r\n").value;
+  assert.ok(error instanceof Error);
+  assert.equal(error.message, "Redis error: ERR wrong type");
+
+  assert.throws(() => parse("?\r\n"), /Unexpected Redis reply type/);
+});
+
+test("parseReply counts bulk lengths in bytes", () => {
+  const value = "進撃の巨人";
+  const reply = Buffer.from(`$${Buffer.byteLength(value)}\r\n${value}\r\n+OK\r\n`);
+
+  const first = parseReply(reply, 0);
+  assert.equal(first.value, value);
+  assert.deepEqual(parseReply(reply, first.offset).value, "OK");
+});
+
+test("parseReply waits for incomplete replies", () => {
+  for (const partial of ["", "+OK", "$5\r\nhel", "$5\r\nhello", "*2\r\n:1\r\n", "*2\r\n:1\r\n$3\r\nab"]) {
+    assert.equal(parseReply(Buffer.from(partial), 0), null, JSON.stringify(partial));
+  }
+});
+
+test("entries round-trip through the store", async () => {
+  const store = createRedisStore({ url: redis.url });
+  try {
+    const entry = { data: { title: "Cowboy Bebop", japanese: "カウボーイビバップ" }, timestamp: 1, duration: 2 };
+    await store.set("anime_1", entry);
+    assert.deepEqual(await store.get("anime_1"), entry);
+    assert.equal(await store.get("missing"), undefined);
+    assert.equal(await store.size(), 1);
+    assert.equal(await store.delete("anime_1"), true);
+    assert.equal(await store.delete("anime_1"), false);
+  } finally {
+    await store.close();
+    redis.hash.clear();
+  }
+});
+
+test("entries() pages through HSCAN until the cursor is back at 0", async () => {
+  const store = createRedisStore({ url: redis.url });
+  try {
+    for (let i = 0; i < 250; i++) {
+      await store.set(`key_${i}`, { i });
+    }
+    redis.commands.length = 0;
+
+    const seen = new Map();
+    for await (const [key, value] of store.entries()) {
+      seen.set(key, value.i);
+    }
+
+    assert.equal(seen.size, 250);
+    assert.equal(seen.get("key_249"), 249);
+    assert.deepEqual(redis.commands.map(([name, , cursor]) => `${name} ${cursor}`), ["HSCAN 0", "HSCAN 100", "HSCAN 200"]);
+  } finally {
+    await store.close();
+    redis.hash.clear();
+  }
+});
+
+test("the next command reconnects after the connection drops", async () => {
+  const store = createRedisStore({ url: redis.url.replace("redis://", "redis://:secret@") + "/2" });
+  try {
+    await store.set("a", { value: 1 });
+    redis.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepEqual(await store.get("a"), { value: 1 });
+    // Every connection authenticates and selects the database again
+    assert.deepEqual(redis.commands.filter(([name]) => name === "AUTH" || name === "SELECT").map(([name]) => name), ["AUTH", "SELECT", "AUTH", "SELECT"]);
+  } finally {
+    await store.close();
+    redis.hash.clear();
+    redis.commands.length = 0;
+  }
+});
+
+test("a failed AUTH is retried on the next command", async () => {
+  const store = createRedisStore({ url: redis.url.replace("redis://", "redis://:wrong@") });
+  try {
+    await assert.rejects(store.size(), /WRONGPASS/);
+    await assert.rejects(store.size(), /WRONGPASS/);
+    assert.equal(redis.commands.filter(([name]) => name === "AUTH").length, 2);
+  } finally {
+    await store.close();
+    redis.commands.length = 0;
+  }
+});
+
+test("a stalled command times out, fails everything pending and reconnects", async () => {
+  const store = createRedisStore({ url: redis.url, commandTimeout: 100 });
+  try {
+    redis.stall(true);
+    const results = await Promise.allSettled([store.size(), store.get("a")]);
+    assert.deepEqual(results.map(result => result.status), ["rejected", "rejected"]);
+    assert.match(results[0].reason.message, /HLEN timed out after 100ms/);
+
+    redis.stall(false);
+    assert.equal(await store.size(), 0);
+  } finally {
+    redis.stall(false);
+    await store.close();
+  }
+});
+
+test("connecting times out when the server never answers", async () => {
+  // The fake server speaks plain TCP, so a TLS handshake never completes
+  const store = createRedisStore({ url: redis.url.replace("redis://", "rediss://"), connectTimeout: 100 });
+  try {
+    await assert.rejects(store.size(), /connect timed out after 100ms/);
+  } finally {
+    await store.close();
+  }
+});
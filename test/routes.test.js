@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRoute, matchPath } from "../lib/routes.js";
+
+function resolve(endpoint, query) {
+  const { path, key } = resolveRoute(endpoint, new URLSearchParams(query));
+  return { path, key };
+}
+
+test("Jikan-style paths match in any case but keep the case of their values", () => {
+  assert.deepEqual(matchPath(["Users", "SomeUser", "Friends"]), {
+    endpoint: "users",
+    params: { username: "SomeUser", resource: "friends" }
+  });
+  assert.deepEqual(matchPath(["SCHEDULES"]), { endpoint: "schedule", params: {} });
+  assert.equal(matchPath(["anime", "5", "nope"]), null);
+});
+
+test("a username gets the same cache key as a path and as a query", () => {
+  const { params } = matchPath(["users", "SomeUser"]);
+
+  assert.equal(resolve("users", new URLSearchParams(params)).key, resolve("users", "username=SomeUser").key);
+  assert.equal(resolve("users", "username=SomeUser").key, "user_SomeUser");
+});
+
+test("a username containing _ never shares a key with a sub-resource", () => {
+  const profile = resolve("users", "username=foo_full").key;
+  const full = resolve("users", "username=foo&resource=full").key;
+
+  assert.equal(full, "user_foo_full");
+  assert.notEqual(profile, full);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRoute } from "../lib/routes.js";
+
+function resolve(endpoint, query) {
+  const { path, key } = resolveRoute(endpoint, new URLSearchParams(query));
+  return { path, key };
+}
+
+test("equivalent searches share a path and cache key", () => {
+  const canonical = resolve("anime", "genres=1,2&q=naruto shippuden");
+
+  assert.equal(canonical.path, "/anime?genres=1%2C2&q=naruto+shippuden");
+  assert.match(canonical.key, /^anime_search_[0-9a-f]{16}$/);
+  assert.deepEqual(resolve("anime", "q=  Naruto   Shippuden &page=1&genres=2,1,2"), canonical);
+  assert.deepEqual(resolve("anime", "q=naruto+shippuden&limit=25&genres=01,2"), canonical);
+});
+
+test("search numbers are canonicalized and empty values dropped", () => {
+  const canonical = resolve("anime", "q=naruto&min_score=7.5");
+
+  assert.equal(canonical.path, "/anime?min_score=7.5&q=naruto");
+  assert.deepEqual(resolve("anime", "min_score=7.50&q=naruto&sfw="), canonical);
+});
+
+test("different searches get different keys", () => {
+  const keys = ["q=naruto", "q=naruto&page=2", "q=bleach", "q=naruto&type=tv"].map(query => resolve("anime", query).key);
+
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test("searches of different endpoints never share a key", () => {
+  assert.notEqual(resolve("anime", "q=monster").key.split("_")[0], resolve("manga", "q=monster").key.split("_")[0]);
+});
+
+test("lookups by id are not normalized", () => {
+  assert.deepEqual(resolve("anime", "id=5"), { path: "/anime/5", key: "anime_5" });
+});
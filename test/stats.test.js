@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported. Nothing listens on port 1,
+// so every Redis command fails with ECONNREFUSED
+process.env.REDIS_URL = "redis://127.0.0.1:1";
+process.env.REDIS_CONNECT_TIMEOUT = "1s";
+process.env.CLIENT_RATE_LIMIT = "0";
+process.env.LOG_LEVEL = "error";
+
+const { handleRequest } = await import("../lib/core.js");
+const { useCacheStore } = await import("../lib/cache.js");
+
+test("/api/stats still answers while the persistent store is down", async () => {
+  await useCacheStore("redis");
+
+  const response = await handleRequest(new Request("http://proxy/api/stats"));
+  const data = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(data.cacheStore, "redis");
+  assert.equal(data.persistentCacheSize, null);
+  assert.match(data.persistentCacheError, /ECONNREFUSED/);
+  assert.equal(typeof data.cacheSize, "number");
+});
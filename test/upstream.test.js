@@ -0,0 +1,95 @@
+import { test, after, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when config.js is first imported
+process.env.UPSTREAM_RETRIES = "1";
+process.env.UPSTREAM_RETRY_BASE_DELAY = "0ms";
+process.env.BREAKER_FAILURE_THRESHOLD = "3";
+process.env.BREAKER_COOLDOWN = "30s";
+process.env.MAX_REQUESTS_PER_SECOND = "100";
+process.env.MAX_REQUESTS_PER_MINUTE = "1000";
+process.env.CLIENT_RATE_LIMIT = "0";
+process.env.LOG_LEVEL = "error";
+
+// The breaker's cooldown runs on a mocked clock, so it can pass without waiting
+mock.timers.enable({ apis: ["Date"], now: Date.now() });
+after(() => mock.timers.reset());
+
+const { handleRequest } = await import("../lib/core.js");
+const { getUpstreamStats } = await import("../lib/upstream.js");
+
+// Jikan answering with each of `statuses` in turn, then with the last one
+function answerWith(t, ...statuses) {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    fetched.push(url);
+    const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+    return new Response(JSON.stringify({ data: { mal_id: 1 } }), { status });
+  });
+  return fetched;
+}
+
+async function get(path) {
+  const response = await handleRequest(new Request(`http://proxy${path}`));
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("a 5xx is retried", async t => {
+  const fetched = answerWith(t, 500, 200);
+
+  assert.equal((await get("/api/anime/1")).status, 200);
+  assert.equal(fetched.length, 2);
+  assert.equal(getUpstreamStats().circuitBreaker.consecutiveFailures, 0);
+});
+
+test("a request that times out is retried, then a 504", async t => {
+  // What fetch rejects with once the UPSTREAM_TIMEOUT signal fires
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async (url, { signal }) => {
+    fetched.push(url);
+    assert.ok(signal instanceof AbortSignal);
+    throw new DOMException("The operation was aborted due to timeout", "TimeoutError");
+  });
+
+  const { status, body } = await get("/api/anime/2");
+
+  assert.equal(status, 504);
+  assert.equal(body.error.code, "upstream_timeout");
+  assert.equal(fetched.length, 2);
+
+  // A success clears the failures again
+  t.mock.restoreAll();
+  answerWith(t, 200);
+  assert.equal((await get("/api/anime/2")).status, 200);
+  assert.equal(getUpstreamStats().circuitBreaker.consecutiveFailures, 0);
+});
+
+test("the breaker opens after consecutive failures and fails fast until the cooldown is over", async t => {
+  const fetched = answerWith(t, 503);
+
+  assert.equal((await get("/api/anime/3")).status, 502);
+  assert.equal((await get("/api/anime/4")).status, 502);
+  assert.equal(fetched.length, 3, "the failure that opens the breaker is not retried");
+  assert.equal(getUpstreamStats().circuitBreaker.state, "open");
+
+  const rejected = await get("/api/anime/5");
+  assert.equal(rejected.status, 503);
+  assert.equal(rejected.body.error.code, "upstream_circuit_open");
+  assert.equal(rejected.headers.get("retry-after"), "30");
+  assert.equal(fetched.length, 3);
+
+  // Cached entries are still served
+  assert.equal((await get("/api/anime/1")).headers.get("x-cache"), "HIT");
+
+  // After the cooldown a failed trial opens the breaker again, a successful one closes it
+  mock.timers.tick(30 * 1000);
+  assert.equal((await get("/api/anime/5")).status, 502);
+  assert.equal(fetched.length, 4);
+  assert.equal((await get("/api/anime/5")).status, 503);
+
+  mock.timers.tick(30 * 1000);
+  t.mock.restoreAll();
+  answerWith(t, 200);
+  assert.equal((await get("/api/anime/5")).status, 200);
+  assert.equal(getUpstreamStats().circuitBreaker.state, "closed");
+});